@@ -1,7 +1,15 @@
 import { Command } from 'commander';
-import { runCli } from './runner.js';
+import { runCli, resumeCli } from './runner.js';
+import { addLibrary } from './utils/library-adder.js';
+import { runDoctor } from './utils/doctor.js';
+import { runUpgradePlanner } from './utils/upgrade-planner.js';
+import { createBundle, listBundles, loadBundle, deleteBundle, exportBundle, importBundle, displayBundleInfo } from './utils/bundle-manager.js';
+import { LIBRARY_BUNDLES } from './templates/templates.js';
+import { loadTemplates, getProjectTemplates, getProjectStructures, USER_TEMPLATES_DIR, PROJECT_TEMPLATES_DIR, TEMPLATE_PACKAGE_PREFIX, USER_STRUCTURES_DIR, PROJECT_STRUCTURES_DIR } from './utils/template-loader.js';
 import { listProfiles, loadProfile, deleteProfile, displayProfileInfo, exportProfile, importProfile } from './utils/profile-manager.js';
 import chalk from 'chalk';
+import { setRegistryOverride, setNetworkMode } from './utils/registry.js';
+import { getCacheInfo, clearCache, pruneCache, displayCacheInfo, formatBytes } from './utils/registry-cache.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -15,15 +23,147 @@ const program = new Command();
 program
     .name('ng-init')
     .description('Angular project initializer with intelligent version management and automation')
-    .version(packageJson.version);
+    .version(packageJson.version)
+    .option('--registry <url>', 'npm registry to use instead of the one configured in .npmrc')
+    .option('--offline', 'use cached registry data only and install from the npm cache')
+    .hook('preAction', () => {
+        const { registry, offline } = program.opts();
+        if (registry) {
+            setRegistryOverride(registry);
+        }
+        if (offline) {
+            setNetworkMode('offline');
+        }
+    });
 
 // Main command - create new project
 program
     .command('create', { isDefault: true })
     .alias('new')
-    .description('Create a new Angular project with interactive setup')
-    .action(() => {
-        runCli();
+    .description('Create a new Angular project (interactive unless values are passed as flags)')
+    .option('-n, --name <name>', 'project name')
+    .option('-a, --angular <version>', 'Angular version: exact, major, range or "latest"')
+    .option('-t, --template <template>', 'project template (basic, enterprise, pwa, material, testing, standalone, custom)')
+    .option('-s, --style <style>', 'stylesheet format (css, scss, sass, less)')
+    .option('-l, --libraries <list>', 'comma-separated libraries, e.g. "lodash,@angular/material@^19.0.0" or "none"')
+    .option('-f, --features <list>', 'comma-separated features, e.g. "git,structure,readme" or "none"')
+    .option('--structure <name>', 'folder structure (standard, domain or a user-defined one)')
+    .option('--environments <list>', 'comma-separated build configurations with environment files, e.g. "development,staging,production"')
+    .option('--test-runner <runner>', 'unit test runner: karma, vitest, jest or web-test-runner (ng new default when omitted)')
+    .option('--ci <provider>', 'write a CI pipeline: github, gitlab or azure (implies the ci feature)')
+    .option('--location <path>', 'directory to create the project in')
+    .option('--package-manager <name>', 'package manager: npm, pnpm, yarn or bun (detected when omitted)')
+    .option('--spec <file>', 'project spec file (ng-init.json or ng-init.yaml)')
+    .option('-y, --yes', 'use defaults for unspecified values and skip confirmations')
+    .option('--dry-run', 'print the execution plan without running anything')
+    .option('--keep-on-failure', 'leave the project directory in place when a step fails instead of rolling back')
+    .option('--plan-format <format>', 'execution plan format for --dry-run (text, json)', 'text')
+    .action((options) => {
+        runCli(options);
+    });
+
+// Resume an interrupted run
+program
+    .command('resume [path]')
+    .description('Resume a failed or interrupted project creation from its last completed step')
+    .option('-y, --yes', 'skip the confirmation')
+    .option('--keep-on-failure', 'leave the project directory in place when a step fails instead of rolling back')
+    .action((targetPath, options) => {
+        resumeCli(targetPath, options);
+    });
+
+// Add a library to an existing project
+program
+    .command('add <library>')
+    .description('Add a library to an existing Angular project, choosing the newest version compatible with its Angular version')
+    .option('-D, --dev', 'install as a dev dependency')
+    .option('-p, --project <path>', 'project directory (defaults to the nearest Angular workspace)')
+    .option('-y, --yes', 'skip the confirmation')
+    .option('--keep-on-failure', 'leave package.json and the lockfile as they are when the install fails')
+    .action((library, options) => {
+        addLibrary(library, options);
+    });
+
+// Dependency health audit
+program
+    .command('doctor')
+    .description('Check an existing project: peer dependencies, deprecated packages and the Node.js version')
+    .option('-p, --project <path>', 'project directory (defaults to the nearest Angular workspace)')
+    .option('--json', 'print the report as JSON (exit code 1 when a check fails)')
+    .action((options) => {
+        runDoctor(options);
+    });
+
+// Major-version upgrade planner
+program
+    .command('upgrade')
+    .description('Plan an Angular major-version upgrade: requirements, ng update commands and blockers')
+    .requiredOption('--to <version>', 'target Angular version: major (e.g. 19), exact or range')
+    .option('-p, --project <path>', 'project directory (defaults to the nearest Angular workspace)')
+    .option('--json', 'print the plan as JSON (exit code 1 when there are blockers)')
+    .action((options) => {
+        runUpgradePlanner(options);
+    });
+
+// Template commands
+const templateCommand = program
+    .command('template')
+    .description('List built-in and user-defined project templates');
+
+templateCommand
+    .command('list')
+    .description('List available templates and user-defined templates that failed validation')
+    .action(async () => {
+        try {
+            const { errors } = await loadTemplates();
+
+            console.log(chalk.bold.cyan('\n🧩 Project Templates:\n'));
+            console.log(chalk.gray('━'.repeat(50)));
+            Object.entries(getProjectTemplates()).forEach(([id, template]) => {
+                console.log(chalk.white('  • ') + chalk.green(id) + chalk.white(` - ${template.name}`) +
+                    chalk.gray(` [${template.origin || 'built-in'}]`) + (template.angular ? chalk.gray(` Angular ${template.angular}`) : ''));
+            });
+            console.log(chalk.gray('━'.repeat(50)));
+
+            errors.filter(({ kind }) => kind === 'template').forEach(({ id, file, errors: messages }) => {
+                console.log(chalk.red(`  ✗ ${id}`) + chalk.gray(` (${file})`));
+                messages.forEach(message => console.log(chalk.red(`      ${message}`)));
+            });
+
+            console.log(chalk.gray(`\nTemplates are read from ${USER_TEMPLATES_DIR}, ./${PROJECT_TEMPLATES_DIR} and ${TEMPLATE_PACKAGE_PREFIX}* packages.\n`));
+        } catch (error) {
+            console.error(chalk.red('Error listing templates:'), error.message);
+        }
+    });
+
+// Structure commands
+const structureCommand = program
+    .command('structure')
+    .description('List built-in and user-defined folder structures');
+
+structureCommand
+    .command('list')
+    .description('List available structures and user-defined structures that failed validation')
+    .action(async () => {
+        try {
+            const { errors } = await loadTemplates();
+
+            console.log(chalk.bold.cyan('\n📁 Project Structures:\n'));
+            console.log(chalk.gray('━'.repeat(50)));
+            Object.entries(getProjectStructures()).forEach(([id, structure]) => {
+                console.log(chalk.white('  • ') + chalk.green(id) + chalk.white(` - ${structure.name}`) + chalk.gray(` [${structure.origin || 'built-in'}]`));
+            });
+            console.log(chalk.gray('━'.repeat(50)));
+
+            errors.filter(({ kind }) => kind === 'structure').forEach(({ id, file, errors: messages }) => {
+                console.log(chalk.red(`  ✗ ${id}`) + chalk.gray(` (${file})`));
+                messages.forEach(message => console.log(chalk.red(`      ${message}`)));
+            });
+
+            console.log(chalk.gray(`\nStructures are read from ${USER_STRUCTURES_DIR} and ./${PROJECT_STRUCTURES_DIR}.\n`));
+        } catch (error) {
+            console.error(chalk.red('Error listing structures:'), error.message);
+        }
     });
 
 // Profile management commands
@@ -105,6 +245,138 @@ profileCommand
         }
     });
 
+// Library bundle commands
+const bundleCommand = program
+    .command('bundle')
+    .description('Manage custom library bundles');
+
+bundleCommand
+    .command('create <name>')
+    .description('Create or replace a custom bundle (prompts for packages when no flags are given)')
+    .option('-d, --description <text>', 'bundle description')
+    .option('-p, --packages <list>', 'comma-separated packages, e.g. "@ngrx/store@^19.0.0,lodash"')
+    .option('-D, --dev-packages <list>', 'comma-separated dev packages')
+    .option('--pin <spec>', 'version range for one Angular major, e.g. "@ngrx/store:18=^18.0.0" (repeatable)', (value, previous) => [...previous, value], [])
+    .action(async (name, options) => {
+        try {
+            await createBundle(name, options);
+        } catch (error) {
+            console.error(chalk.red('Error creating bundle:'), error.message);
+        }
+    });
+
+bundleCommand
+    .command('list')
+    .description('List built-in and custom bundles')
+    .action(async () => {
+        try {
+            const bundles = await listBundles();
+
+            console.log(chalk.bold.cyan('\n📦 Library Bundles:\n'));
+            console.log(chalk.gray('━'.repeat(50)));
+            Object.entries(LIBRARY_BUNDLES).forEach(([key, bundle]) => {
+                console.log(chalk.white('  • ') + chalk.green(key) + chalk.gray(` - ${bundle.name} [built-in]`));
+            });
+            bundles.forEach(name => {
+                console.log(chalk.white('  • ') + chalk.green(name) + chalk.gray(' [custom]'));
+            });
+            console.log(chalk.gray('━'.repeat(50)) + '\n');
+        } catch (error) {
+            console.error(chalk.red('Error listing bundles:'), error.message);
+        }
+    });
+
+bundleCommand
+    .command('show <name>')
+    .description('Show the packages of a bundle')
+    .action(async (name) => {
+        try {
+            const bundle = LIBRARY_BUNDLES[name] || await loadBundle(name);
+
+            if (!bundle) {
+                console.log(chalk.red(`Bundle "${name}" not found.`));
+                return;
+            }
+
+            displayBundleInfo(name, bundle);
+        } catch (error) {
+            console.error(chalk.red('Error loading bundle:'), error.message);
+        }
+    });
+
+bundleCommand
+    .command('delete <name>')
+    .description('Delete a custom bundle')
+    .action(async (name) => {
+        try {
+            await deleteBundle(name);
+        } catch (error) {
+            console.error(chalk.red('Error deleting bundle:'), error.message);
+        }
+    });
+
+bundleCommand
+    .command('export <name> <output>')
+    .description('Export a custom bundle to a file')
+    .action(async (name, output) => {
+        try {
+            await exportBundle(name, output);
+        } catch (error) {
+            console.error(chalk.red('Error exporting bundle:'), error.message);
+        }
+    });
+
+bundleCommand
+    .command('import <file>')
+    .description('Import a custom bundle from a file')
+    .action(async (file) => {
+        try {
+            await importBundle(file);
+        } catch (error) {
+            console.error(chalk.red('Error importing bundle:'), error.message);
+        }
+    });
+
+// Registry cache commands
+const cacheCommand = program
+    .command('cache')
+    .description('Manage the on-disk npm registry cache');
+
+cacheCommand
+    .command('info')
+    .description('Show cache location, size and entries')
+    .action(async () => {
+        try {
+            displayCacheInfo(await getCacheInfo());
+        } catch (error) {
+            console.error(chalk.red('Error reading cache:'), error.message);
+        }
+    });
+
+cacheCommand
+    .command('clear')
+    .description('Remove all cached registry data')
+    .action(async () => {
+        try {
+            const { removed, freed } = await clearCache();
+            console.log(chalk.green(`✓ Removed ${removed} cache entries (${formatBytes(freed)})`));
+        } catch (error) {
+            console.error(chalk.red('Error clearing cache:'), error.message);
+        }
+    });
+
+cacheCommand
+    .command('prune')
+    .description('Remove cache entries older than 30 days (kept until then for offline mode)')
+    .action(async () => {
+        try {
+            const { removed, freed } = await pruneCache();
+            console.log(chalk.green(`✓ Pruned ${removed} outdated or unreadable cache entries (${formatBytes(freed)})`));
+        } catch (error) {
+            console.error(chalk.red('Error pruning cache:'), error.message);
+        }
+    });
+
 // Version check command
 program
     .command('check')
@@ -128,6 +400,15 @@ program
         console.log(chalk.white('Create new project (interactive):'));
         console.log(chalk.green('  $ ng-init') + chalk.gray(' or ') + chalk.green('ng-init create\n'));
         
+        console.log(chalk.white('Create new project (non-interactive):'));
+        console.log(chalk.green('  $ ng-init create --name my-app --angular 19 --template standalone --features git,readme --yes\n'));
+        
+        console.log(chalk.white('Create new project from a spec file:'));
+        console.log(chalk.green('  $ ng-init create --spec ./ng-init.yaml\n'));
+        
+        console.log(chalk.white('Preview the execution plan without creating anything:'));
+        console.log(chalk.green('  $ ng-init create --spec ./ng-init.yaml --dry-run --plan-format json\n'));
+        
         console.log(chalk.white('Check system versions:'));
         console.log(chalk.green('  $ ng-init check\n'));
         
@@ -146,6 +427,48 @@ program
         console.log(chalk.white('Import a profile:'));
         console.log(chalk.green('  $ ng-init profile import ./profile.json\n'));
         
+        console.log(chalk.white('Create a custom library bundle with per-major pins:'));
+        console.log(chalk.green('  $ ng-init bundle create platform -p "@ngrx/store,lodash" --pin "@ngrx/store:18=^18.0.0"\n'));
+        
+        console.log(chalk.white('Show or prune the registry cache:'));
+        console.log(chalk.green('  $ ng-init cache info') + chalk.gray(' / ') + chalk.green('ng-init cache prune\n'));
+        
+        console.log(chalk.white('Add a library to an existing project:'));
+        console.log(chalk.green('  $ ng-init add @angular/material') + chalk.gray(' or ') + chalk.green('ng-init add "@ngrx/store@^19.0.0"\n'));
+        
+        console.log(chalk.white('Audit the dependencies of an existing project (CI-friendly with --json):'));
+        console.log(chalk.green('  $ ng-init doctor') + chalk.gray(' or ') + chalk.green('ng-init doctor --json\n'));
+        
+        console.log(chalk.white('Plan an upgrade to Angular 19:'));
+        console.log(chalk.green('  $ ng-init upgrade --to 19\n'));
+        
+        console.log(chalk.white('List built-in and user-defined templates:'));
+        console.log(chalk.green('  $ ng-init template list\n'));
+
+        console.log(chalk.white('Create a project with a domain-driven structure:'));
+        console.log(chalk.green('  $ ng-init create --name my-app --features git,structure --structure domain\n'));
+
+        console.log(chalk.white('List built-in and user-defined structures:'));
+        console.log(chalk.green('  $ ng-init structure list\n'));
+
+        console.log(chalk.white('Create a project with development, staging and production environments:'));
+        console.log(chalk.green('  $ ng-init create --name my-app --environments development,staging,production\n'));
+
+        console.log(chalk.white('Create a project with a Dockerfile, nginx config and docker-compose.yml:'));
+        console.log(chalk.green('  $ ng-init create --name my-app --features git,docker-compose\n'));
+
+        console.log(chalk.white('Create a project with a GitLab CI pipeline that lints, tests and builds:'));
+        console.log(chalk.green('  $ ng-init create --name my-app --features git,eslint --ci gitlab\n'));
+
+        console.log(chalk.white('Create a project that runs its unit tests with Jest:'));
+        console.log(chalk.green('  $ ng-init create --name my-app --angular 20 --test-runner jest\n'));
+        
+        console.log(chalk.white('Resume a failed or interrupted run:'));
+        console.log(chalk.green('  $ ng-init resume ./my-app\n'));
+        
+        console.log(chalk.white('Create a project without network access:'));
+        console.log(chalk.green('  $ ng-init --offline create --name my-app --angular 19 --yes\n'));
+        
         console.log(chalk.gray('━'.repeat(50)) + '\n');
     });
 
@@ -1,14 +1,30 @@
 import { select, input, confirm, checkbox } from '@inquirer/prompts';
 import chalk from 'chalk';
 import path from 'path';
+import semver from 'semver';
 import { displaySystemVersions, getNodeVersion, isNvmInstalled, switchNodeVersion, installNodeVersion, getInstalledNodeVersions } from './utils/version-checker.js';
-import { getAngularVersions, getNodeRequirementsForAngular, getMajorVersions, getMinorVersionsForMajor, getPatchVersionsForMinor } from './utils/npm-search.js';
-import { checkNodeCompatibility, displayCompatibilityStatus, findCompatibleVersions, getRecommendedNodeVersion, resolveLibraryVersionsAsync } from './utils/compatibility.js';
-import { createAngularProject, installPackages, runNpmInstall, installNodeWithWinget, displayNvmInstallGuide } from './utils/installer.js';
+import { getAngularVersions, getNodeRequirementsForAngular, getMajorVersions, getMinorVersionsForMajor, getPatchVersionsForMinor, resolveAngularVersion } from './utils/npm-search.js';
+import { checkNodeCompatibility, displayCompatibilityStatus, findCompatibleVersions, getRecommendedNodeVersion } from './utils/compatibility.js';
+import { solvePeerDependencies, displayPeerConflicts } from './utils/peer-solver.js';
+import { installNodeWithWinget, displayNvmInstallGuide } from './utils/installer.js';
 import { interactiveLibrarySearch, simpleLibraryInput, askLibrarySearchPreference } from './utils/prompt-handler.js';
-import { PROJECT_TEMPLATES, LIBRARY_BUNDLES, CONFIG_PRESETS, PROJECT_STRUCTURE, GIT_CONFIG, DOC_TEMPLATES } from './templates/templates.js';
-import { initGitRepo, createGitignore, createInitialCommit, createProjectFolders, createProjectFiles, createReadme, createChangelog, validateDirectoryName, ensureDirectory, updatePackageJsonScripts } from './utils/file-utils.js';
+import { PROJECT_FEATURES, STYLE_FORMATS, TEST_RUNNERS, DEFAULT_ENVIRONMENTS, CI_PROVIDERS } from './templates/templates.js';
+import { getAllBundles, resolveBundlePackages } from './utils/bundle-manager.js';
+import { loadTemplates, getProjectTemplates, getProjectStructures, getTemplateStructure, getTemplateLoadErrors, isTemplateCompatible } from './utils/template-loader.js';
+import { loadFileTemplates } from './utils/template-engine.js';
+import { validateDirectoryName } from './utils/file-utils.js';
 import { saveProfile, loadProfile, listProfiles, displayProfileInfo } from './utils/profile-manager.js';
+import { buildConfigFromOptions, applyDefaultOptions, getMissingOptions, parseLibrarySpec, parseList } from './utils/cli-options.js';
+import { loadProjectSpec } from './utils/spec-loader.js';
+import { isOfflineMode, isRegistryReachable, setNetworkMode, displayStaleDataNotice } from './utils/registry.js';
+import { detectPackageManagers, getDefaultPackageManager, resolvePackageManager, formatPackageManager } from './utils/package-manager.js';
+import { buildExecutionPlan, serializeExecutionPlan, displayExecutionPlan } from './utils/execution-plan.js';
+import { getTestRunners, getDefaultTestRunner, isTestRunnerCompatible } from './utils/test-runner-setup.js';
+import { environmentsFromNames, validateEnvironments } from './utils/environment-builder.js';
+import { DEFAULT_CI_PROVIDER } from './utils/ci-setup.js';
+import { runStepsInTransaction } from './utils/transaction.js';
+import { log, setLogStream } from './utils/logger.js';
+import { createRunState, writeCheckpoint, readCheckpoint, removeCheckpoint, STATE_FILE } from './utils/checkpoint.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -17,8 +33,36 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'), 'utf-8'));
 
-export async function runCli() {
+/**
+ * Warn about user-defined templates and structures that could not be loaded
+ */
+function displayTemplateLoadErrors() {
+    getTemplateLoadErrors().forEach(({ kind, id, file, errors }) => {
+        log(chalk.yellow(`⚠️  Skipping ${kind} "${id}" (${file}):`));
+        errors.forEach(error => log(chalk.yellow(`   • ${error}`)));
+    });
+}
+
+export async function runCli(options = {}) {
     try {
+        // Prompts need a terminal; without one every value has to come from flags
+        const interactive = Boolean(process.stdin.isTTY);
+
+        // Keep stdout clean for the JSON plan; everything else goes to stderr
+        setLogStream(options.dryRun && options.planFormat === 'json' ? 'stderr' : 'stdout');
+
+        if (options.planFormat && !['text', 'json'].includes(options.planFormat)) {
+            throw new Error(`Unknown --plan-format "${options.planFormat}". Use "text" or "json".`);
+        }
+
+        // User-defined templates have to be known before flags and specs are validated
+        await loadTemplates();
+        await loadFileTemplates();
+
+        // A spec file provides the base configuration; flags override it
+        const specConfig = options.spec ? await loadProjectSpec(options.spec) : null;
+        let config = { ...specConfig, ...buildConfigFromOptions(options) };
+
         // Display welcome banner
         const text = `Angular Project Initialization Automation CLI v${packageJson.version}`;
         const width = 60;
@@ -26,27 +70,35 @@ export async function runCli() {
         const line = "═".repeat(width);
         const space = width - text.length;
 
-        console.log(chalk.cyan.bold(`
+        log(chalk.cyan.bold(`
 ╔${line}╗
 ║${" ".repeat(space / 2)}${text}${" ".repeat(Math.ceil(space / 2))}║
 ╚${line}╝
 `));
+        displayTemplateLoadErrors();
+
         // Step 1: Display system versions
         const systemVersions = await displaySystemVersions();
 
+        // Fall back to cached registry data when the registry cannot be reached
+        if (!isOfflineMode() && !(await isRegistryReachable())) {
+            log(chalk.yellow('⚠️  The npm registry is unreachable. Continuing in offline mode with cached data.\n'));
+            setNetworkMode('prefer-offline');
+        }
+
         // Step 2: Check for saved profiles
-        const useProfile = await confirm({
+        const useProfile = interactive && !options.yes && !specConfig && await confirm({
             message: 'Would you like to use a saved profile?',
             default: false
         });
 
-        let config = {};
+        let usingProfile = false;
 
         if (useProfile) {
             const profiles = await listProfiles();
 
             if (profiles.length === 0) {
-                console.log(chalk.yellow('No saved profiles found. Continuing with manual setup...\n'));
+                log(chalk.yellow('No saved profiles found. Continuing with manual setup...\n'));
             } else {
                 const selectedProfile = await select({
                     message: 'Select a profile:',
@@ -62,21 +114,58 @@ export async function runCli() {
                 });
 
                 if (confirmProfile) {
-                    config = profile;
+                    // Flags still take precedence over the profile
+                    config = { ...profile, ...config };
+                    usingProfile = true;
                 }
             }
         }
 
+        if (options.yes) {
+            config = applyDefaultOptions(config);
+        }
+
+        if (!interactive) {
+            const missing = getMissingOptions(config, options);
+
+            if (missing.length > 0) {
+                log(chalk.red('Cannot prompt for input: stdin is not a TTY. Provide the following values:\n'));
+                missing.forEach(({ flag, description }) => {
+                    log(chalk.white(`  ${flag.padEnd(24)}`) + chalk.gray(description));
+                });
+                log('');
+                process.exit(1);
+            }
+        }
+
+        // Step 3: Resolve a version spec passed via --angular (e.g. "19", "^18.2.0", "latest")
+        if (config.angularVersion && !semver.valid(config.angularVersion)) {
+            log(chalk.bold.cyan(`\n📦 Resolving Angular version "${config.angularVersion}"...\n`));
+            const angularVersions = await getAngularVersions();
+            const resolvedVersion = resolveAngularVersion(config.angularVersion, angularVersions);
+
+            if (!resolvedVersion) {
+                log(chalk.red(`No published Angular version matches "${config.angularVersion}".`));
+                process.exit(1);
+            }
+
+            config.angularVersion = resolvedVersion;
+        }
+
         // Step 3: Select Angular version (if not from profile)
         if (!config.angularVersion) {
-            console.log(chalk.bold.cyan('\n📦 Fetching Angular versions...\n'));
+            log(chalk.bold.cyan('\n📦 Fetching Angular versions...\n'));
             const angularVersions = await getAngularVersions();
 
             if (angularVersions.versions.length === 0) {
-                console.log(chalk.red('Failed to fetch Angular versions. Please check your internet connection.'));
+                log(chalk.red('Failed to fetch Angular versions. Please check your internet connection.'));
                 process.exit(1);
             }
 
+            if (isOfflineMode()) {
+                log(chalk.yellow('⚠️  Offline: only Angular versions known from the local cache are listed.\n'));
+            }
+
             // Step 3.1: Select Major Version
             const majorVersions = getMajorVersions(angularVersions.versions);
             const majorChoices = majorVersions.map(major => {
@@ -126,46 +215,54 @@ export async function runCli() {
             config.angularVersion = patchVersion;
         }
 
-        console.log(chalk.green(`\n✓ Selected Angular version: ${config.angularVersion}\n`));
+        log(chalk.green(`\n✓ Selected Angular version: ${config.angularVersion}\n`));
 
         // Step 4: Check Node.js compatibility
         const nodeRequirement = await getNodeRequirementsForAngular(config.angularVersion);
+        config.nodeRange = nodeRequirement;
         const currentNodeVersion = await getNodeVersion();
         const compatibility = checkNodeCompatibility(currentNodeVersion, nodeRequirement);
 
         displayCompatibilityStatus(compatibility);
 
         // Step 5: Handle Node version incompatibility
-        if (!compatibility.compatible) {
-            console.log(chalk.yellow('⚠️  Node.js version incompatibility detected!\n'));
+        if (!compatibility.compatible && options.dryRun) {
+            log(chalk.yellow(`⚠️  Node.js ${currentNodeVersion} does not satisfy ${nodeRequirement}. Dry run continues without switching versions.\n`));
+        } else if (!compatibility.compatible) {
+            log(chalk.yellow('⚠️  Node.js version incompatibility detected!\n'));
+
+            if (!interactive) {
+                log(chalk.red(`Switch to a Node.js version matching ${nodeRequirement} and run ng-init again.`));
+                process.exit(1);
+            }
 
             const nvmInstalled = await isNvmInstalled();
 
             if (nvmInstalled) {
-                console.log(chalk.cyan('✓ nvm detected on your system\n'));
+                log(chalk.cyan('✓ nvm detected on your system\n'));
 
                 const installedVersions = await getInstalledNodeVersions();
                 const compatibleInstalled = findCompatibleVersions(installedVersions, nodeRequirement);
 
                 if (compatibleInstalled.length > 0) {
-                    console.log(chalk.green(`Found ${compatibleInstalled.length} compatible Node version(s) installed:\n`));
+                    log(chalk.green(`Found ${compatibleInstalled.length} compatible Node version(s) installed:\n`));
 
                     const selectedVersion = await select({
                         message: 'Select Node version to switch to:',
                         choices: compatibleInstalled.map(v => ({ name: `v${v}`, value: v }))
                     });
 
-                    console.log(chalk.cyan(`\nSwitching to Node.js v${selectedVersion}...\n`));
+                    log(chalk.cyan(`\nSwitching to Node.js v${selectedVersion}...\n`));
                     const switched = await switchNodeVersion(selectedVersion);
 
                     if (!switched) {
-                        console.log(chalk.red('Failed to switch Node version. Please try manually.'));
+                        log(chalk.red('Failed to switch Node version. Please try manually.'));
                         process.exit(1);
                     }
 
-                    console.log(chalk.green('✓ Node version switched successfully\n'));
+                    log(chalk.green('✓ Node version switched successfully\n'));
                 } else {
-                    console.log(chalk.yellow('No compatible Node versions installed.\n'));
+                    log(chalk.yellow('No compatible Node versions installed.\n'));
                     const recommendedVersion = getRecommendedNodeVersion(nodeRequirement);
 
                     const shouldInstall = await confirm({
@@ -177,19 +274,19 @@ export async function runCli() {
                         const installed = await installNodeVersion(recommendedVersion);
 
                         if (!installed) {
-                            console.log(chalk.red('Failed to install Node version.'));
+                            log(chalk.red('Failed to install Node version.'));
                             process.exit(1);
                         }
 
-                        console.log(chalk.green('✓ Node.js installed successfully\n'));
+                        log(chalk.green('✓ Node.js installed successfully\n'));
                         await switchNodeVersion(recommendedVersion);
                     } else {
-                        console.log(chalk.red('Cannot proceed without compatible Node.js version.'));
+                        log(chalk.red('Cannot proceed without compatible Node.js version.'));
                         process.exit(1);
                     }
                 }
             } else {
-                console.log(chalk.yellow('⚠️  nvm is not installed on your system\n'));
+                log(chalk.yellow('⚠️  nvm is not installed on your system\n'));
 
                 const installMethod = await select({
                     message: 'How would you like to proceed?',
@@ -202,25 +299,25 @@ export async function runCli() {
 
                 if (installMethod === 'nvm') {
                     displayNvmInstallGuide();
-                    console.log(chalk.yellow('\nPlease install nvm and run this CLI again.\n'));
+                    log(chalk.yellow('\nPlease install nvm and run this CLI again.\n'));
                     process.exit(0);
                 } else if (installMethod === 'direct') {
                     if (process.platform !== 'win32') {
-                        console.log(chalk.red('Direct installation is only supported on Windows.'));
+                        log(chalk.red('Direct installation is only supported on Windows.'));
                         process.exit(1);
                     }
 
                     const installed = await installNodeWithWinget('LTS');
 
                     if (!installed) {
-                        console.log(chalk.red('Failed to install Node.js. Please install manually.'));
+                        log(chalk.red('Failed to install Node.js. Please install manually.'));
                         process.exit(1);
                     }
 
-                    console.log(chalk.yellow('\nPlease restart your terminal and run this CLI again.\n'));
+                    log(chalk.yellow('\nPlease restart your terminal and run this CLI again.\n'));
                     process.exit(0);
                 } else {
-                    console.log(chalk.yellow('Exiting. Please install a compatible Node.js version manually.\n'));
+                    log(chalk.yellow('Exiting. Please install a compatible Node.js version manually.\n'));
                     process.exit(0);
                 }
             }
@@ -260,33 +357,68 @@ export async function runCli() {
 
         const projectPath = path.join(config.location, config.projectName);
 
+        // Step 7.1: Select package manager (flag, profile or spec; otherwise detected)
+        if (!config.packageManager && interactive && !options.yes) {
+            const detected = await detectPackageManagers(config.location);
+
+            if (detected.length > 1) {
+                config.packageManager = await select({
+                    message: 'Select package manager:',
+                    choices: detected.map(pm => ({ name: formatPackageManager(pm), value: pm.name })),
+                    default: getDefaultPackageManager(detected).name
+                });
+            }
+        }
+
+        const packageManager = await resolvePackageManager(config.packageManager, config.location);
+        config.packageManager = packageManager.name;
+
+        if (!packageManager.version) {
+            if (!options.dryRun) {
+                log(chalk.red(`${packageManager.name} is not installed. Install it or choose another package manager with --package-manager.`));
+                process.exit(1);
+            }
+            log(chalk.yellow(`⚠️  ${packageManager.name} is not installed; the plan below cannot be executed as is.\n`));
+        }
+
         // Step 8: Select template (if not from profile)
+        const templates = getProjectTemplates();
+
         if (!config.template) {
             config.template = await select({
                 message: 'Select project template:',
                 choices: [
-                    ...Object.entries(PROJECT_TEMPLATES).map(([key, template]) => ({
-                        name: `${template.name} - ${template.description}`,
-                        value: key
-                    })),
+                    ...Object.entries(templates)
+                        .filter(([, template]) => isTemplateCompatible(template, config.angularVersion))
+                        .map(([key, template]) => ({
+                            name: `${template.name}${template.description ? ` - ${template.description}` : ''}` + (template.origin ? chalk.gray(` [${template.origin}]`) : ''),
+                            value: key
+                        })),
                     { name: 'Custom (configure manually)', value: 'custom' }
                 ]
             });
+        }
+
+        if (config.template !== 'custom' && !templates[config.template]) {
+            log(chalk.red(`Template "${config.template}" was not found. Available templates: ${[...Object.keys(templates), 'custom'].join(', ')}`));
+            process.exit(1);
+        }
 
-            if (config.template === 'custom') {
+        if (config.template !== 'custom' && !isTemplateCompatible(templates[config.template], config.angularVersion)) {
+            log(chalk.red(`Template "${config.template}" supports Angular ${templates[config.template].angular}, not ${config.angularVersion}.`));
+            process.exit(1);
+        }
+
+        if (!config.options) {
+            if (config.template === 'custom' && interactive && !options.yes) {
                 const routing = await confirm({
                     message: 'Enable routing?',
                     default: true
                 });
 
-                const style = await select({
+                const style = options.style || await select({
                     message: 'Select stylesheet format:',
-                    choices: [
-                        { name: 'css', value: 'css' },
-                        { name: 'scss', value: 'scss' },
-                        { name: 'sass', value: 'sass' },
-                        { name: 'less', value: 'less' }
-                    ]
+                    choices: STYLE_FORMATS.map(format => ({ name: format, value: format }))
                 });
 
                 const strict = await confirm({
@@ -300,11 +432,17 @@ export async function runCli() {
                 });
 
                 config.options = { routing, style, strict, standalone };
+            } else if (config.template === 'custom') {
+                config.options = { routing: true, style: 'css', strict: true, standalone: false };
             } else {
-                config.options = PROJECT_TEMPLATES[config.template].options;
+                config.options = { routing: true, style: 'css', strict: true, standalone: false, ...templates[config.template].options };
             }
         }
 
+        if (options.style) {
+            config.options = { ...config.options, style: options.style };
+        }
+
         // Step 9: Library selection (if not from profile)
         if (!config.libraries) {
             const libraryMethod = await askLibrarySearchPreference();
@@ -315,66 +453,103 @@ export async function runCli() {
             } else if (libraryMethod === 'manual') {
                 config.libraries = await simpleLibraryInput(config.angularVersion);
             } else if (libraryMethod === 'bundles') {
+                const bundles = await getAllBundles();
                 const selectedBundles = await checkbox({
                     message: 'Select library bundles:',
-                    choices: Object.entries(LIBRARY_BUNDLES).map(([key, bundle]) => ({
-                        name: `${bundle.name} - ${bundle.description}`,
+                    choices: Object.entries(bundles).map(([key, bundle]) => ({
+                        name: `${bundle.name} - ${bundle.description}` + (bundle.custom ? chalk.gray(' [custom]') : ''),
                         value: key
                     }))
                 });
 
+                // Custom bundles can pin versions per Angular major
                 for (const bundleKey of selectedBundles) {
-                    const bundle = LIBRARY_BUNDLES[bundleKey];
-                    if (bundle.packages) {
-                        config.libraries.push(...bundle.packages);
-                    }
-                    // Also include devPackages from bundles
-                    if (bundle.devPackages) {
-                        config.libraries.push(...bundle.devPackages.map(pkg => ({
-                            ...pkg,
-                            isDev: true
-                        })));
-                    }
+                    config.libraries.push(...resolveBundlePackages(bundles[bundleKey], config.angularVersion));
                 }
             }
+        }
+
+        // Profiles already contain the template libraries they were saved with
+        if (!usingProfile && config.template !== 'custom') {
+            const template = templates[config.template];
+            const selectedNames = new Set(config.libraries.map(lib => lib.name));
 
             // Add template-specific libraries
-            if (config.template !== 'custom' && PROJECT_TEMPLATES[config.template].packages) {
-                const templateLibs = PROJECT_TEMPLATES[config.template].packages.map(name => ({
-                    name,
-                    version: 'latest'
-                }));
-                config.libraries.push(...templateLibs);
-            }
+            (template.packages || [])
+                .map(parseLibrarySpec)
+                .filter(lib => !selectedNames.has(lib.name))
+                .forEach(lib => config.libraries.push(lib));
 
             // Add template-specific dev packages
-            if (config.template !== 'custom' && PROJECT_TEMPLATES[config.template].devPackages) {
-                const templateDevLibs = PROJECT_TEMPLATES[config.template].devPackages.map(name => ({
-                    name,
-                    version: 'latest',
-                    isDev: true
-                }));
-                config.libraries.push(...templateDevLibs);
-            }
+            (template.devPackages || [])
+                .map(parseLibrarySpec)
+                .filter(lib => !selectedNames.has(lib.name))
+                .forEach(lib => config.libraries.push({ ...lib, isDev: true }));
         }
 
         // Step 10: Additional features (if not from profile)
         if (!config.features) {
             config.features = await checkbox({
                 message: 'Select additional features:',
-                choices: [
-                    { name: 'Git initialization', value: 'git', checked: true },
-                    { name: 'Create project structure', value: 'structure', checked: true },
-                    { name: 'Generate README.md', value: 'readme', checked: true },
-                    { name: 'Generate CHANGELOG.md', value: 'changelog', checked: false },
-                    { name: 'ESLint + Prettier setup', value: 'eslint', checked: false },
-                    { name: 'Husky pre-commit hooks', value: 'husky', checked: false }
-                ]
+                choices: PROJECT_FEATURES
+            });
+        }
+
+        // Step 10b: Pick a folder structure unless the template brings its own
+        if (config.features.includes('structure') && !config.structure && !getTemplateStructure(templates[config.template]) && interactive && !options.yes) {
+            config.structure = await select({
+                message: 'Select project structure:',
+                choices: Object.entries(getProjectStructures()).map(([key, structure]) => ({
+                    name: `${structure.name}${structure.description ? ` - ${structure.description}` : ''}` + (structure.origin ? chalk.gray(` [${structure.origin}]`) : ''),
+                    value: key
+                }))
+            });
+        }
+
+        // Step 10c: Name the environments (values for unknown names are left empty)
+        if (config.features.includes('environments') && !config.environments && interactive && !options.yes) {
+            const names = await input({
+                message: 'Environments (comma-separated build configurations):',
+                default: Object.keys(DEFAULT_ENVIRONMENTS).join(','),
+                validate: (value) => {
+                    const errors = validateEnvironments(environmentsFromNames(parseList(value)));
+                    return errors.length === 0 ? true : errors[0];
+                }
+            });
+            config.environments = environmentsFromNames(parseList(names));
+        }
+
+        // Step 10d: Pick a unit test runner supported by the Angular version
+        if (!config.testRunner && interactive && !options.yes) {
+            config.testRunner = await select({
+                message: 'Select unit test runner:',
+                choices: Object.entries(getTestRunners(config.angularVersion)).map(([key, runner]) => ({
+                    name: `${runner.name} - ${runner.description}`,
+                    value: key
+                })),
+                default: getDefaultTestRunner(config.angularVersion)
+            });
+        }
+
+        if (config.testRunner && !isTestRunnerCompatible(config.testRunner, config.angularVersion)) {
+            log(chalk.red(`Test runner "${config.testRunner}" supports Angular ${TEST_RUNNERS[config.testRunner].angular}, not ${config.angularVersion}.`));
+            process.exit(1);
+        }
+
+        // Step 10e: Pick the CI provider to write a pipeline for
+        if (config.features.includes('ci') && !config.ci && interactive && !options.yes) {
+            config.ci = await select({
+                message: 'Select CI provider:',
+                choices: Object.entries(CI_PROVIDERS).map(([key, provider]) => ({
+                    name: `${provider.name} - ${provider.file}`,
+                    value: key
+                })),
+                default: DEFAULT_CI_PROVIDER
             });
         }
 
         // Step 11: Save profile option
-        const shouldSaveProfile = await confirm({
+        const shouldSaveProfile = interactive && !options.yes && !options.dryRun && !specConfig && await confirm({
             message: 'Save this configuration as a profile?',
             default: false
         });
@@ -389,168 +564,225 @@ export async function runCli() {
         }
 
         // Step 12: Confirm and create project
-        console.log(chalk.bold.cyan('\n📋 Project Configuration Summary\n'));
-        console.log(chalk.gray('━'.repeat(50)));
-        console.log(chalk.white('Project Name:     ') + chalk.green(config.projectName));
-        console.log(chalk.white('Location:         ') + chalk.cyan(projectPath));
-        console.log(chalk.white('Angular Version:  ') + chalk.green(config.angularVersion));
-        console.log(chalk.white('Template:         ') + chalk.cyan(config.template));
-        console.log(chalk.white('Libraries:        ') + chalk.cyan(config.libraries.length));
-        console.log(chalk.white('Features:         ') + chalk.cyan(config.features.join(', ')));
-        console.log(chalk.gray('━'.repeat(50)) + '\n');
-
-        const shouldCreate = await confirm({
+        log(chalk.bold.cyan('\n📋 Project Configuration Summary\n'));
+        log(chalk.gray('━'.repeat(50)));
+        log(chalk.white('Project Name:     ') + chalk.green(config.projectName));
+        log(chalk.white('Location:         ') + chalk.cyan(projectPath));
+        log(chalk.white('Angular Version:  ') + chalk.green(config.angularVersion));
+        log(chalk.white('Template:         ') + chalk.cyan(config.template));
+        log(chalk.white('Package Manager:  ') + chalk.cyan(formatPackageManager(packageManager)));
+        log(chalk.white('Libraries:        ') + chalk.cyan(config.libraries.length));
+        log(chalk.white('Features:         ') + chalk.cyan(config.features.join(', ')));
+        if (config.structure) {
+            log(chalk.white('Structure:        ') + chalk.cyan(config.structure));
+        }
+        if (config.environments) {
+            log(chalk.white('Environments:     ') + chalk.cyan(Object.keys(config.environments).join(', ')));
+        }
+        log(chalk.white('Test Runner:      ') + chalk.cyan(TEST_RUNNERS[config.testRunner || getDefaultTestRunner(config.angularVersion)].name));
+        if (config.features.includes('ci') || config.ci) {
+            log(chalk.white('CI Pipeline:      ') + chalk.cyan(CI_PROVIDERS[config.ci || DEFAULT_CI_PROVIDER].name));
+        }
+        log(chalk.gray('━'.repeat(50)) + '\n');
+
+        const shouldCreate = options.yes || options.dryRun || await confirm({
             message: 'Create project with this configuration?',
             default: true
         });
 
         if (!shouldCreate) {
-            console.log(chalk.yellow('Project creation cancelled.\n'));
+            log(chalk.yellow('Project creation cancelled.\n'));
             process.exit(0);
         }
 
-        // Step 13: Create Angular project
-        console.log(chalk.bold.cyan('\n🚀 Creating Angular project...\n'));
+        // Step 13: Resolve library versions
+        let resolvedLibraries = [];
 
-        const createOptions = {
-            ...config.options,
-            skipInstall: true
-        };
+        if (config.libraries.length > 0) {
+            log(chalk.bold.cyan('\n📦 Resolving library versions...\n'));
 
-        const created = await createAngularProject(config.projectName, config.angularVersion, createOptions);
+            // Resolve all libraries together so their peer dependencies agree with each other and with Angular
+            const solution = await solvePeerDependencies(config.libraries, config.angularVersion);
 
-        if (!created) {
-            console.log(chalk.red('Failed to create Angular project.'));
-            process.exit(1);
-        }
-
-        // Step 14: Install libraries
-        if (config.libraries.length > 0) {
-            console.log(chalk.bold.cyan('\n📦 Resolving library versions...\n'));
+            if (!solution.satisfiable) {
+                displayPeerConflicts(solution);
+                process.exit(1);
+            }
 
-            // Resolve library versions dynamically for compatibility with Angular version
-            const resolvedLibraries = await resolveLibraryVersionsAsync(config.libraries, config.angularVersion);
+            resolvedLibraries = solution.libraries;
 
             // Show adjusted versions if any
             const adjusted = resolvedLibraries.filter(lib => lib.adjusted);
             if (adjusted.length > 0) {
-                console.log(chalk.green('✓ Dynamically resolved compatible library versions:\n'));
+                log(chalk.green('✓ Dynamically resolved compatible library versions:\n'));
                 adjusted.forEach(lib => {
-                    console.log(chalk.gray(`   ${lib.name}: ${lib.originalVersion} → ${lib.version}`));
+                    log(chalk.gray(`   ${lib.name}: ${lib.originalVersion} → ${lib.version}`));
                     if (lib.reason) {
-                        console.log(chalk.gray(`     └─ ${lib.reason}`));
+                        log(chalk.gray(`     └─ ${lib.reason}`));
                     }
                 });
-                console.log('');
+                log('');
             }
 
             // Show warnings for potentially incompatible libraries
             const warnings = resolvedLibraries.filter(lib => lib.warning);
             if (warnings.length > 0) {
-                console.log(chalk.yellow('⚠️  Potential compatibility warnings:\n'));
+                log(chalk.yellow('⚠️  Potential compatibility warnings:\n'));
                 warnings.forEach(lib => {
-                    console.log(chalk.yellow(`   ${lib.name}@${lib.version}`));
+                    log(chalk.yellow(`   ${lib.name}@${lib.version}`));
                     if (lib.reason) {
-                        console.log(chalk.gray(`     └─ ${lib.reason}`));
+                        log(chalk.gray(`     └─ ${lib.reason}`));
                     }
                 });
-                console.log('');
+                log('');
             }
+        }
 
-            // Separate production and dev packages
-            const prodLibraries = resolvedLibraries.filter(lib => !lib.isDev);
-            const devLibraries = resolvedLibraries.filter(lib => lib.isDev);
-
-            // Install production packages
-            if (prodLibraries.length > 0) {
-                console.log(chalk.bold.cyan('📦 Installing production libraries...\n'));
-                const prodSpecs = prodLibraries.map(lib =>
-                    lib.version === 'latest' ? lib.name : `${lib.name}@${lib.version}`
-                );
-                await installPackages(prodSpecs, projectPath);
-            }
+        displayStaleDataNotice();
 
-            // Install dev packages
-            if (devLibraries.length > 0) {
-                console.log(chalk.bold.cyan('📦 Installing dev libraries...\n'));
-                const devSpecs = devLibraries.map(lib =>
-                    lib.version === 'latest' ? lib.name : `${lib.name}@${lib.version}`
-                );
-                await installPackages(devSpecs, projectPath, true);
+        const plan = buildExecutionPlan(config, projectPath, resolvedLibraries, packageManager);
+
+        // Dry run: print the plan and stop before anything is executed
+        if (options.dryRun) {
+            if (options.planFormat === 'json') {
+                const serialized = serializeExecutionPlan(plan, config, projectPath, packageJson.version, packageManager);
+                process.stdout.write(JSON.stringify(serialized, null, 2) + '\n');
+            } else {
+                displayExecutionPlan(plan, projectPath);
             }
+            return;
         }
 
-        // Step 15: Run npm install
-        console.log(chalk.bold.cyan('\n📥 Installing dependencies...\n'));
-        await runNpmInstall(projectPath);
+        // Steps 14-21: Create the project, install libraries and apply the selected features.
+        // The state file written after each step lets `ng-init resume` continue a failed run.
+        const state = createRunState(config, resolvedLibraries, packageJson.version);
+
+        await runStepsInTransaction(plan, projectPath, {
+            interactive: interactive && !options.yes,
+            keepOnFailure: options.keepOnFailure,
+            onStepCompleted: step => writeCheckpoint(projectPath, state, step.id),
+            resumeCommand: `ng-init resume ${projectPath}`,
+            trackedFiles: [STATE_FILE]
+        });
+
+        await removeCheckpoint(projectPath);
+
+        // Step 22: Display success message
+        displaySuccessMessage(config);
 
-        // Step 16: Create project structure
-        if (config.features.includes('structure')) {
-            console.log(chalk.bold.cyan('\n📁 Creating project structure...\n'));
-            await createProjectFolders(projectPath, PROJECT_STRUCTURE.standard.folders);
-            await createProjectFiles(projectPath, PROJECT_STRUCTURE.standard.files);
+    } catch (err) {
+        console.error(chalk.red('\n❌ Error:'), err.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Resume a failed or interrupted run from its state file, skipping the steps that completed
+ */
+export async function resumeCli(targetPath = '.', options = {}) {
+    try {
+        const interactive = Boolean(process.stdin.isTTY);
+        const projectPath = path.resolve(targetPath);
+        const state = await readCheckpoint(projectPath);
+
+        if (!state) {
+            log(chalk.red(`No interrupted ng-init run found in ${projectPath} (${STATE_FILE} is missing).`));
+            process.exit(1);
         }
 
-        // Step 17: Initialize Git
-        if (config.features.includes('git')) {
-            console.log(chalk.bold.cyan('\n🔧 Initializing Git repository...\n'));
-            await initGitRepo(projectPath);
-            await createGitignore(projectPath, GIT_CONFIG.gitignore);
+        const { config } = state;
+
+        await loadTemplates();
+        await loadFileTemplates();
+        displayTemplateLoadErrors();
+
+        if (config.template !== 'custom' && !getProjectTemplates()[config.template]) {
+            log(chalk.yellow(`⚠️  Template "${config.template}" was not found; its structure and files will be skipped.\n`));
         }
 
-        // Step 18: Generate documentation
-        if (config.features.includes('readme')) {
-            console.log(chalk.bold.cyan('\n📝 Generating README.md...\n'));
-            const readmeContent = DOC_TEMPLATES.readme(config.projectName, 'An Angular application created with Angular Project Automator');
-            await createReadme(projectPath, readmeContent);
+        if (config.structure && !getProjectStructures()[config.structure]) {
+            log(chalk.yellow(`⚠️  Structure "${config.structure}" was not found; the default structure will be used.\n`));
         }
 
-        if (config.features.includes('changelog')) {
-            await createChangelog(projectPath, DOC_TEMPLATES.changelog);
+        if (state.generator?.version !== packageJson.version) {
+            log(chalk.yellow(`⚠️  This run was started with ng-init v${state.generator?.version}; resuming with v${packageJson.version}.\n`));
         }
 
-        // Step 19: Setup ESLint
-        if (config.features.includes('eslint')) {
-            console.log(chalk.bold.cyan('\n🔧 Setting up ESLint + Prettier...\n'));
-            const eslintPackages = CONFIG_PRESETS.eslint.packages.map(p => p);
-            await installPackages(eslintPackages, projectPath, true);
-            await createProjectFiles(projectPath, CONFIG_PRESETS.eslint.files);
+        const packageManager = await resolvePackageManager(config.packageManager, path.dirname(projectPath));
+
+        if (!packageManager.version) {
+            log(chalk.red(`${packageManager.name} is not installed. Install it to resume this run.`));
+            process.exit(1);
         }
 
-        // Step 20: Setup Husky
-        if (config.features.includes('husky')) {
-            console.log(chalk.bold.cyan('\n🐶 Setting up Husky...\n'));
-            const huskyPackages = CONFIG_PRESETS.husky.devPackages.map(p => p);
-            await installPackages(huskyPackages, projectPath, true);
-            await updatePackageJsonScripts(projectPath, CONFIG_PRESETS.husky.scripts);
+        const plan = buildExecutionPlan(config, projectPath, state.resolvedLibraries, packageManager);
+        const remaining = plan.filter(step => !state.completedSteps.includes(step.id));
+
+        log(chalk.bold.cyan('\n🔁 Resuming Project Creation\n'));
+        log(chalk.gray('━'.repeat(50)));
+        log(chalk.white('Project:          ') + chalk.cyan(projectPath));
+        log(chalk.white('Angular Version:  ') + chalk.green(config.angularVersion));
+        log(chalk.white('Package Manager:  ') + chalk.cyan(formatPackageManager(packageManager)));
+        log(chalk.white('Last Update:      ') + chalk.gray(new Date(state.updatedAt).toLocaleString()) + '\n');
+
+        plan.forEach(step => {
+            log(remaining.includes(step)
+                ? chalk.white(`  • ${step.title}`)
+                : chalk.green(`  ✓ ${step.title}`));
+        });
+        log(chalk.gray('━'.repeat(50)) + '\n');
+
+        if (remaining.length === 0) {
+            await removeCheckpoint(projectPath);
+            log(chalk.green('✓ Every step has already completed.\n'));
+            return;
         }
 
-        // Step 21: Create initial commit
-        if (config.features.includes('git')) {
-            console.log(chalk.bold.cyan('\n📝 Creating initial commit...\n'));
-            await createInitialCommit(projectPath, GIT_CONFIG.initialCommitMessage);
+        const shouldResume = options.yes || !interactive || await confirm({
+            message: `Run the remaining ${remaining.length} step(s)?`,
+            default: true
+        });
+
+        if (!shouldResume) {
+            log(chalk.yellow('Resume cancelled.\n'));
+            return;
         }
 
-        // Step 22: Display success message
-        console.log(chalk.bold.green('\n✅ Project created successfully! 🎉\n'));
-        console.log(chalk.bold.cyan('📊 Next Steps:\n'));
-        console.log(chalk.gray('━'.repeat(50)));
-        console.log(chalk.white('1. ') + chalk.cyan(`cd ${config.projectName}`));
-        console.log(chalk.white('2. ') + chalk.cyan('ng serve'));
-        console.log(chalk.white('3. ') + chalk.cyan('Open http://localhost:4200 in your browser'));
-        console.log(chalk.gray('━'.repeat(50)));
-
-        console.log(chalk.bold.cyan('\n💡 Useful Commands:\n'));
-        console.log(chalk.gray('  ng generate component <name>    ') + chalk.white('Create a component'));
-        console.log(chalk.gray('  ng generate service <name>      ') + chalk.white('Create a service'));
-        console.log(chalk.gray('  ng build                        ') + chalk.white('Build for production'));
-        console.log(chalk.gray('  ng test                         ') + chalk.white('Run unit tests'));
-        console.log(chalk.gray('  ng help                         ') + chalk.white('Get more help\n'));
-
-        console.log(chalk.bold.green('Happy coding! 🚀\n'));
+        await runStepsInTransaction(remaining, projectPath, {
+            interactive: interactive && !options.yes,
+            keepOnFailure: options.keepOnFailure,
+            onStepCompleted: step => writeCheckpoint(projectPath, state, step.id),
+            resumeCommand: `ng-init resume ${projectPath}`,
+            trackedFiles: [STATE_FILE]
+        });
+
+        await removeCheckpoint(projectPath);
+        displaySuccessMessage(config);
 
     } catch (err) {
         console.error(chalk.red('\n❌ Error:'), err.message);
         process.exit(1);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Display the success message and next steps
+ */
+function displaySuccessMessage(config) {
+    log(chalk.bold.green('\n✅ Project created successfully! 🎉\n'));
+    log(chalk.bold.cyan('📊 Next Steps:\n'));
+    log(chalk.gray('━'.repeat(50)));
+    log(chalk.white('1. ') + chalk.cyan(`cd ${config.projectName}`));
+    log(chalk.white('2. ') + chalk.cyan('ng serve'));
+    log(chalk.white('3. ') + chalk.cyan('Open http://localhost:4200 in your browser'));
+    log(chalk.gray('━'.repeat(50)));
+
+    log(chalk.bold.cyan('\n💡 Useful Commands:\n'));
+    log(chalk.gray('  ng generate component <name>    ') + chalk.white('Create a component'));
+    log(chalk.gray('  ng generate service <name>      ') + chalk.white('Create a service'));
+    log(chalk.gray('  ng build                        ') + chalk.white('Build for production'));
+    log(chalk.gray('  ng test                         ') + chalk.white('Run unit tests'));
+    log(chalk.gray('  ng help                         ') + chalk.white('Get more help\n'));
+
+    log(chalk.bold.green('Happy coding! 🚀\n'));
+}
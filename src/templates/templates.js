@@ -96,6 +96,40 @@ export const PROJECT_TEMPLATES = {
     }
 };
 
+/**
+ * Stylesheet formats supported by `ng new --style`
+ */
+export const STYLE_FORMATS = ['css', 'scss', 'sass', 'less'];
+
+/**
+ * Template options passed to ng new, with their types
+ */
+export const TEMPLATE_OPTION_TYPES = {
+    routing: 'boolean',
+    style: 'string',
+    strict: 'boolean',
+    standalone: 'boolean'
+};
+
+/**
+ * Additional features offered in the create flow
+ */
+export const PROJECT_FEATURES = [
+    { name: 'Git initialization', value: 'git', checked: true },
+    { name: 'Create project structure', value: 'structure', checked: true },
+    { name: 'Generate README.md', value: 'readme', checked: true },
+    { name: 'Generate CHANGELOG.md', value: 'changelog', checked: false },
+    { name: 'Strict TypeScript compiler options', value: 'typescript', checked: false },
+    { name: 'Production budgets and build options', value: 'budgets', checked: false },
+    { name: 'Environment files and build configurations', value: 'environments', checked: false },
+    { name: 'Dockerfile and nginx config', value: 'docker', checked: false },
+    { name: 'docker-compose.yml for local development', value: 'docker-compose', checked: false },
+    { name: 'CI pipeline (GitHub Actions, GitLab CI or Azure Pipelines)', value: 'ci', checked: false },
+    { name: 'ESLint + Prettier setup', value: 'eslint', checked: false },
+    { name: 'Husky pre-commit hooks', value: 'husky', checked: false },
+    { name: 'Commitlint (conventional commits)', value: 'commitlint', checked: false }
+];
+
 /**
  * Library Bundles
  */
@@ -178,7 +212,7 @@ export const LIBRARY_BUNDLES = {
 export const CONFIG_PRESETS = {
     typescript: {
         name: 'TypeScript Strict Mode',
-        files: {
+        patches: {
             'tsconfig.json': (existing) => ({
                 ...existing,
                 compilerOptions: {
@@ -192,18 +226,127 @@ export const CONFIG_PRESETS = {
             })
         }
     },
+    budgets: {
+        name: 'Production Budgets and Build Options',
+        patches: {
+            // Applied to every application project in the workspace
+            'angular.json': (existing) => {
+                Object.values(existing.projects || {})
+                    .filter(project => project.projectType === 'application' && project.architect?.build)
+                    .forEach(project => {
+                        const configurations = project.architect.build.configurations ||= {};
+                        configurations.production = {
+                            ...configurations.production,
+                            budgets: [
+                                { type: 'initial', maximumWarning: '500kB', maximumError: '1MB' },
+                                { type: 'anyComponentStyle', maximumWarning: '4kB', maximumError: '8kB' },
+                                { type: 'any', maximumWarning: '250kB', maximumError: '500kB' }
+                            ],
+                            outputHashing: 'all',
+                            optimization: true,
+                            extractLicenses: true,
+                            sourceMap: false
+                        };
+                        configurations.development = {
+                            ...configurations.development,
+                            optimization: false,
+                            extractLicenses: false,
+                            sourceMap: true
+                        };
+                    });
+                return existing;
+            }
+        }
+    },
     eslint: {
         name: 'ESLint + Prettier',
-        packages: ['eslint', 'prettier', 'eslint-config-prettier', 'eslint-plugin-prettier'],
-        files: {
-            '.eslintrc.json': {
-                extends: ['eslint:recommended', 'plugin:@typescript-eslint/recommended', 'prettier'],
-                parser: '@typescript-eslint/parser',
-                plugins: ['@typescript-eslint', 'prettier'],
-                rules: {
-                    'prettier/prettier': 'error'
+        // angular-eslint majors follow Angular's; 18+ ships the flat-config
+        // `angular-eslint` package for ESLint 9
+        flatConfigSince: 18,
+        typescriptEslint: { 15: '^5.0.0', 16: '^5.0.0', 17: '^7.0.0' },
+        flat: {
+            packages: major => [`angular-eslint@^${major}.0.0`, 'eslint@^9.0.0', '@eslint/js@^9.0.0', 'typescript-eslint@^8.0.0', 'prettier', 'eslint-config-prettier'],
+            files: () => ({
+                'eslint.config.js': `// @ts-check
+const eslint = require('@eslint/js');
+const tseslint = require('typescript-eslint');
+const angular = require('angular-eslint');
+const prettier = require('eslint-config-prettier');
+
+module.exports = tseslint.config(
+  {
+    files: ['**/*.ts'],
+    extends: [
+      eslint.configs.recommended,
+      ...tseslint.configs.recommended,
+      ...tseslint.configs.stylistic,
+      ...angular.configs.tsRecommended,
+      prettier,
+    ],
+    processor: angular.processInlineTemplates,
+    rules: {
+      '@angular-eslint/directive-selector': ['error', { type: 'attribute', prefix: 'app', style: 'camelCase' }],
+      '@angular-eslint/component-selector': ['error', { type: 'element', prefix: 'app', style: 'kebab-case' }],
+{{#if (eq options.standalone false)}}
+      // The auto-fix would drop standalone: false from components the NgModules declare
+      '@angular-eslint/prefer-standalone': 'off',
+{{/if}}
+    },
+  },
+  {
+    files: ['**/*.html'],
+    extends: [...angular.configs.templateRecommended, ...angular.configs.templateAccessibility],
+    rules: {},
+  }
+);
+`
+            })
+        },
+        legacy: {
+            packages: (major, typescriptEslint) => [
+                `@angular-eslint/builder@^${major}.0.0`,
+                `@angular-eslint/eslint-plugin@^${major}.0.0`,
+                `@angular-eslint/eslint-plugin-template@^${major}.0.0`,
+                `@angular-eslint/template-parser@^${major}.0.0`,
+                `@typescript-eslint/eslint-plugin@${typescriptEslint}`,
+                `@typescript-eslint/parser@${typescriptEslint}`,
+                'eslint@^8.0.0',
+                'prettier',
+                'eslint-config-prettier@^9.0.0'
+            ],
+            // The template accessibility config exists since angular-eslint 16
+            files: major => ({
+                '.eslintrc.json': {
+                    root: true,
+                    ignorePatterns: ['projects/**/*'],
+                    overrides: [
+                        {
+                            files: ['*.ts'],
+                            extends: [
+                                'eslint:recommended',
+                                'plugin:@typescript-eslint/recommended',
+                                'plugin:@angular-eslint/recommended',
+                                'plugin:@angular-eslint/template/process-inline-templates',
+                                'prettier'
+                            ],
+                            rules: {
+                                '@angular-eslint/directive-selector': ['error', { type: 'attribute', prefix: 'app', style: 'camelCase' }],
+                                '@angular-eslint/component-selector': ['error', { type: 'element', prefix: 'app', style: 'kebab-case' }]
+                            }
+                        },
+                        {
+                            files: ['*.html'],
+                            extends: [
+                                'plugin:@angular-eslint/template/recommended',
+                                ...(major >= 16 ? ['plugin:@angular-eslint/template/accessibility'] : [])
+                            ],
+                            rules: {}
+                        }
+                    ]
                 }
-            },
+            })
+        },
+        files: {
             '.prettierrc': {
                 semi: true,
                 singleQuote: true,
@@ -211,31 +354,502 @@ export const CONFIG_PRESETS = {
                 printWidth: 100,
                 tabWidth: 2
             }
+        },
+        scripts: {
+            lint: 'ng lint'
+        },
+        patches: {
+            // Adds a lint target to every application and library in the workspace
+            'angular.json': (existing) => {
+                Object.values(existing.projects || {}).forEach(project => {
+                    const sourceRoot = project.sourceRoot || [project.root, 'src'].filter(Boolean).join('/');
+                    project.architect = {
+                        ...project.architect,
+                        lint: {
+                            builder: '@angular-eslint/builder:lint',
+                            options: {
+                                lintFilePatterns: [`${sourceRoot}/**/*.ts`, `${sourceRoot}/**/*.html`]
+                            }
+                        }
+                    };
+                });
+                return existing;
+            }
         }
     },
     husky: {
         name: 'Husky Pre-commit Hooks',
-        devPackages: ['husky', 'lint-staged'],
-        scripts: {
-            'prepare': 'husky install',
+        devPackages: ['husky', 'lint-staged', 'prettier'],
+        // Commands run by each Git hook
+        hooks: {
             'pre-commit': 'lint-staged'
         },
+        // Husky 9 replaced `husky install` and dropped the husky.sh loader
+        scripts: {
+            9: { prepare: 'husky' },
+            5: { prepare: 'husky install' }
+        },
         files: {
-            '.husky/pre-commit': '#!/bin/sh\n. "$(dirname "$0")/_/husky.sh"\n\nnpx lint-staged',
             'lint-staged.config.js': `module.exports = {
-  '*.{js,ts}': ['eslint --fix', 'prettier --write'],
-  '*.{json,md}': ['prettier --write']
-};`
+{{#if feature.eslint}}
+  '*.{js,ts,html}': ['eslint --fix', 'prettier --write'],
+  '*.{json,md,css,scss,less}': ['prettier --write'],
+{{else}}
+  '*.{js,ts,html,json,md,css,scss,less}': ['prettier --write'],
+{{/if}}
+};
+`
+        }
+    },
+    docker: {
+        name: 'Docker',
+        runtimeImage: 'nginx:stable-alpine',
+        files: {
+            Dockerfile: `# Build stage: Node.js {{docker.nodeVersion}}, recommended for Angular {{angularMajor}}
+FROM {{docker.nodeImage}} AS build
+WORKDIR /app
+{{#if docker.setup}}
+RUN {{docker.setup}}
+{{/if}}
+COPY {{docker.manifests}} ./
+RUN {{docker.install}}
+COPY . .
+RUN {{docker.build}}
+
+# Runtime stage: nginx serving the static build
+FROM {{docker.runtimeImage}}
+COPY nginx.conf /etc/nginx/conf.d/default.conf
+COPY --from=build /app/{{docker.distPath}} /usr/share/nginx/html
+EXPOSE 80
+CMD ["nginx", "-g", "daemon off;"]
+`,
+            'nginx.conf': `server {
+  listen 80;
+  server_name _;
+  root /usr/share/nginx/html;
+  index index.html;
+
+  # Hashed bundles and assets can be cached for long
+  location ~* \\.(?:js|css|woff2?|ttf|svg|png|jpe?g|gif|ico|webp)$ {
+    expires 1y;
+    add_header Cache-Control "public, immutable";
+    try_files $uri =404;
+  }
+
+  # index.html is checked on every visit so new deployments are picked up
+  location = /index.html {
+    add_header Cache-Control "no-cache";
+  }
+
+  # SPA fallback: paths that are not files are routed by Angular
+  location / {
+    try_files $uri $uri/ /index.html;
+  }
+}
+`,
+            '.dockerignore': `node_modules
+dist
+.angular
+.git
+coverage
+npm-debug.log*
+yarn-error.log*
+Dockerfile
+docker-compose.yml
+.dockerignore
+`
+        },
+        compose: {
+            'docker-compose.yml': `# docker compose up dev: dev server with live reload on http://localhost:4200
+# docker compose up app: production image on http://localhost:8080
+services:
+  dev:
+    image: {{docker.nodeImage}}
+    working_dir: /app
+    command: sh -c "{{#if docker.setup}}{{docker.setup}} && {{/if}}{{packageManager.commands.install}} && {{packageManager.commands.ng}} serve --host 0.0.0.0 --poll 2000"
+    ports:
+      - "4200:4200"
+    volumes:
+      - .:/app
+      - node_modules:/app/node_modules
+  app:
+    build: .
+    ports:
+      - "8080:80"
+
+volumes:
+  node_modules:
+`
+        }
+    },
+    commitlint: {
+        name: 'Commitlint',
+        devPackages: ['@commitlint/cli', '@commitlint/config-conventional'],
+        // Git passes the file holding the commit message as $1
+        hooks: {
+            'commit-msg': 'commitlint --edit "$1"'
+        },
+        files: {
+            'commitlint.config.js': `module.exports = {
+  extends: ['@commitlint/config-conventional'],
+};
+`
         }
     }
 };
 
+/**
+ * Unit test runners offered in the create flow. `angular` is the range of
+ * Angular versions a runner supports, `ngNew` the range in which `ng new`
+ * sets it up by itself and `default` the range in which it is what `ng new`
+ * generates. `packages` and `removeFiles` are what a project using the runner
+ * contains; those of the generated runner are removed when another one is chosen.
+ */
+export const TEST_RUNNERS = {
+    karma: {
+        name: 'Karma + Jasmine',
+        description: 'Runs specs in a real browser',
+        angular: '*',
+        ngNew: '*',
+        default: '<21',
+        packages: () => ['karma', 'karma-chrome-launcher', 'karma-coverage', 'karma-jasmine', 'karma-jasmine-html-reporter', 'jasmine-core', '@types/jasmine'],
+        removeFiles: ['karma.conf.js', 'src/test.ts'],
+        types: ['jasmine'],
+        ci: { args: ['--watch=false', '--browsers=ChromeHeadless'], browser: true }
+    },
+    vitest: {
+        name: 'Vitest',
+        description: 'Angular unit-test builder with Vitest and jsdom',
+        angular: '>=20',
+        ngNew: '>=21',
+        default: '>=21',
+        packages: (major) => [major >= 21 ? 'vitest@^4.0.0' : 'vitest@^3.1.1', 'jsdom'],
+        removeFiles: [],
+        types: ['vitest/globals'],
+        ci: { args: ['--watch=false'], browser: false },
+        target: ({ options }) => ({
+            builder: '@angular/build:unit-test',
+            options: {
+                tsConfig: options.tsConfig || 'tsconfig.spec.json',
+                buildTarget: '::development',
+                runner: 'vitest'
+            }
+        })
+    },
+    jest: {
+        name: 'Jest',
+        description: '@angular-builders/jest with jest-preset-angular and jsdom',
+        angular: '>=15',
+        // The builder's majors follow Angular's; Angular 20+ projects no longer
+        // depend on the packages it needs
+        packages: (major) => [
+            `@angular-builders/jest@^${major}.0.0`,
+            major >= 21 ? 'jest@^30.0.0' : 'jest@^29.0.0',
+            major >= 21 ? '@types/jest@^30.0.0' : '@types/jest@^29.0.0',
+            ...(major >= 20 ? [`@angular-devkit/build-angular@^${major}.0.0`, `@angular/platform-browser-dynamic@^${major}.0.0`] : [])
+        ],
+        removeFiles: [],
+        types: ['jest'],
+        ci: { args: [], browser: false },
+        // Builder 21+ sets up a zoneless test environment unless told otherwise
+        target: ({ major, options, zone }) => ({
+            builder: '@angular-builders/jest:run',
+            options: {
+                tsConfig: options.tsConfig || 'tsconfig.spec.json',
+                ...(major >= 21 ? { zoneless: !zone } : {})
+            }
+        }),
+        files: {
+            'jest.config.js': `// Merged with the default configuration of @angular-builders/jest
+/** @type {import('jest').Config} */
+module.exports = {
+  collectCoverageFrom: ['src/**/*.ts', '!src/main.ts', '!src/**/*.spec.ts'],
+  coverageDirectory: 'coverage/{{projectName}}',
+};
+`
+        }
+    },
+    'web-test-runner': {
+        name: 'Web Test Runner',
+        description: 'Experimental Angular builder running Jasmine specs in Chrome',
+        angular: '>=17.1 <22',
+        packages: (major) => [
+            major >= 19 ? '@web/test-runner@^0.20.0' : '@web/test-runner@^0.18.0',
+            'jasmine-core',
+            '@types/jasmine',
+            ...(major >= 20 ? [`@angular-devkit/build-angular@^${major}.0.0`] : [])
+        ],
+        removeFiles: [],
+        types: ['jasmine'],
+        ci: { args: ['--watch=false'], browser: true },
+        target: ({ options, zone }) => ({
+            builder: '@angular-devkit/build-angular:web-test-runner',
+            options: {
+                tsConfig: options.tsConfig || 'tsconfig.spec.json',
+                polyfills: zone ? ['zone.js', 'zone.js/testing'] : [],
+                ...Object.fromEntries(['assets', 'styles', 'scripts', 'inlineStyleLanguage']
+                    .filter(key => options[key] !== undefined)
+                    .map(key => [key, options[key]]))
+            }
+        })
+    }
+};
+
+/**
+ * CI providers the ci feature writes a pipeline for. The pipeline installs
+ * from the lockfile with a cached download folder, lints (with the eslint
+ * feature), runs the unit tests headless, builds for production and uploads
+ * the build output. `workspace` is where the cache folder is kept.
+ */
+export const CI_PROVIDERS = {
+    github: {
+        name: 'GitHub Actions',
+        file: '.github/workflows/ci.yml',
+        workspace: '${{ github.workspace }}',
+        cacheKey: (name, lockfilePattern) => `${name}-\${{ runner.os }}-\${{ hashFiles('${lockfilePattern}') }}`,
+        template: `name: CI
+
+on:
+  push:
+    branches: [main]
+  pull_request:
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+{{#unless ci.nodeCache}}
+{{#if ci.env.length}}
+    env:
+{{#each ci.env}}
+      {{name}}: {{value}}
+{{/each}}
+{{/if}}
+{{/unless}}
+    steps:
+      - uses: actions/checkout@v4
+
+      - uses: actions/setup-node@v4
+        with:
+          node-version: {{ci.nodeVersion}}
+{{#if ci.nodeCache}}
+          cache: {{ci.nodeCache}}
+{{/if}}
+{{#if ci.setup}}
+
+      - name: Set up {{packageManager.name}}
+        run: {{ci.setup}}
+{{/if}}
+{{#unless ci.nodeCache}}
+{{#if ci.configure}}
+
+      - name: Use the cached {{packageManager.name}} store
+        run: {{ci.configure}}
+{{/if}}
+
+      - uses: actions/cache@v4
+        with:
+          path: {{ci.cachePath}}
+          key: {{ci.cacheKey}}
+{{/unless}}
+
+      - name: Install dependencies
+        run: {{ci.install}}
+{{#if ci.lint}}
+
+      - name: Lint
+        run: {{ci.lint}}
+{{/if}}
+
+      - name: Test
+        run: {{ci.test}}
+
+      - name: Build
+        run: {{ci.build}}
+
+      - uses: actions/upload-artifact@v4
+        with:
+          name: {{projectName}}
+          path: {{ci.distPath}}
+`
+    },
+    gitlab: {
+        name: 'GitLab CI',
+        file: '.gitlab-ci.yml',
+        workspace: '$CI_PROJECT_DIR',
+        template: `stages:
+  - test
+  - build
+
+{{#if ci.env.length}}
+variables:
+{{#each ci.env}}
+  {{name}}: "{{value}}"
+{{/each}}
+
+{{/if}}
+default:
+  image: node:{{ci.nodeVersion}}
+  cache:
+    key:
+      files:
+{{#each ci.lockfiles}}
+        - {{this}}
+{{/each}}
+      prefix: {{packageManager.name}}
+    paths:
+      - {{ci.cacheFolder}}/
+  before_script:
+{{#if ci.setup}}
+    - {{ci.setup}}
+{{/if}}
+{{#if ci.configure}}
+    - {{ci.configure}}
+{{/if}}
+    - {{ci.install}}
+{{#if ci.lint}}
+
+lint:
+  stage: test
+  script:
+    - {{ci.lint}}
+{{/if}}
+
+test:
+  stage: test
+  script:
+{{#if ci.browser}}
+    # Chrome for the headless tests; it refuses to run as root without --no-sandbox
+    - apt-get update && apt-get install -y --no-install-recommends chromium
+    - printf '#!/bin/sh\\nexec /usr/bin/chromium --no-sandbox "$@"\\n' > /usr/local/bin/chromium-ci && chmod +x /usr/local/bin/chromium-ci
+    - export CHROME_BIN=/usr/local/bin/chromium-ci CHROME_PATH=/usr/local/bin/chromium-ci
+{{/if}}
+    - {{ci.test}}
+
+build:
+  stage: build
+  script:
+    - {{ci.build}}
+  artifacts:
+    paths:
+      - {{ci.distPath}}
+`
+    },
+    azure: {
+        name: 'Azure Pipelines',
+        file: 'azure-pipelines.yml',
+        workspace: '$(Pipeline.Workspace)',
+        cacheKey: (name, lockfilePattern) => `${name} | "$(Agent.OS)" | ${lockfilePattern}`,
+        template: `trigger:
+  - main
+
+pool:
+  vmImage: ubuntu-latest
+
+{{#if ci.env.length}}
+variables:
+{{#each ci.env}}
+  {{name}}: {{value}}
+{{/each}}
+
+{{/if}}
+steps:
+  - task: NodeTool@0
+    inputs:
+      versionSpec: '{{ci.nodeVersion}}.x'
+    displayName: Install Node.js
+{{#if ci.setup}}
+
+  - script: {{ci.setup}}
+    displayName: Set up {{packageManager.name}}
+{{/if}}
+{{#if ci.configure}}
+
+  - script: {{ci.configure}}
+    displayName: Use the cached {{packageManager.name}} store
+{{/if}}
+
+  - task: Cache@2
+    inputs:
+      key: '{{ci.cacheKey}}'
+      path: {{ci.cachePath}}
+    displayName: Cache {{packageManager.name}} packages
+
+  - script: {{ci.install}}
+    displayName: Install dependencies
+{{#if ci.lint}}
+
+  - script: {{ci.lint}}
+    displayName: Lint
+{{/if}}
+
+  - script: {{ci.test}}
+    displayName: Test
+
+  - script: {{ci.build}}
+    displayName: Build
+
+  - task: PublishPipelineArtifact@1
+    inputs:
+      targetPath: {{ci.distPath}}
+      artifact: {{projectName}}
+    displayName: Publish build output
+`
+    }
+};
+
+/**
+ * Environments written by the environments feature, keyed by build
+ * configuration name. Every environment has the same keys; their values
+ * (strings, numbers or booleans) give the types of the Environment interface.
+ */
+export const DEFAULT_ENVIRONMENTS = {
+    development: { production: false, apiUrl: 'http://localhost:3000/api' },
+    staging: { production: true, apiUrl: 'https://staging.example.com/api' },
+    production: { production: true, apiUrl: 'https://example.com/api' }
+};
+
+/**
+ * Partials available to every generated file ({{> name}})
+ */
+export const TEMPLATE_PARTIALS = {
+    commands: `## Development server
+
+Run \`{{packageManager.commands.start}}\` for a dev server. Navigate to \`http://localhost:4200/\`. The application will automatically reload if you change any of the source files.
+
+## Code scaffolding
+
+Run \`{{packageManager.commands.ng}} generate component component-name\` to generate a new component. You can also use \`{{packageManager.commands.ng}} generate directive|pipe|service|class|guard|interface|enum{{#unless standalone}}|module{{/unless}}\`.
+
+## Build
+
+Run \`{{packageManager.commands.build}}\` to build the project. The build artifacts will be stored in the \`dist/\` directory.
+{{#if environments.length}}
+
+Every environment has a build configuration that swaps in its \`src/environments/environment.<name>.ts\`:
+
+{{#each environments}}
+- \`{{../packageManager.commands.ng}} build --configuration {{this}}\`
+{{/each}}
+{{/if}}
+
+## Running unit tests
+
+Run \`{{packageManager.commands.test}}\` to execute the unit tests{{#if testRunner}} with {{testRunner}}{{/if}}.
+{{#if feature.eslint}}
+
+## Linting
+
+Run \`{{packageManager.commands.lint}}\` to lint the project.
+{{/if}}`
+};
+
 /**
  * Project Structure
  */
 export const PROJECT_STRUCTURE = {
     standard: {
         name: 'Standard Structure',
+        coreFiles: true,
         folders: [
             'src/app/core',
             'src/app/core/services',
@@ -248,8 +862,7 @@ export const PROJECT_STRUCTURE = {
             'src/app/features',
             'src/app/models',
             'src/assets/images',
-            'src/assets/styles',
-            'src/environments'
+            'src/assets/styles'
         ],
         files: {
             'src/app/core/README.md': '# Core Module\n\nSingleton services, guards, and interceptors go here.',
@@ -260,6 +873,7 @@ export const PROJECT_STRUCTURE = {
     },
     domain: {
         name: 'Domain-Driven Structure',
+        coreFiles: true,
         folders: [
             'src/app/core',
             'src/app/shared',
@@ -320,62 +934,60 @@ Thumbs.db
 .env
 .env.local
 `,
-    initialCommitMessage: 'Initial commit: Angular project setup'
+    // A conventional commit, so the commit-msg hook of the commitlint feature accepts it
+    initialCommitMessage: 'chore: initial Angular project setup'
 };
 
 /**
  * Documentation Templates
  */
 export const DOC_TEMPLATES = {
-    readme: (projectName, description) => `# ${projectName}
+    readme: `# {{projectName}}
 
-${description || 'An Angular application'}
+{{description}}
 
 ## Description
 
-This project was generated with Angular CLI.
+This project was generated with Angular CLI {{angularVersion}}{{#if template}} using the \`{{template}}\` template{{/if}}.
 
-## Development server
+## Requirements
 
-Run \`ng serve\` for a dev server. Navigate to \`http://localhost:4200/\`. The application will automatically reload if you change any of the source files.
+{{#if nodeRange}}
+- Node.js {{nodeRange}}
+{{/if}}
+- {{packageManager.label}}
 
-## Code scaffolding
-
-Run \`ng generate component component-name\` to generate a new component. You can also use \`ng generate directive|pipe|service|class|guard|interface|enum|module\`.
+{{> commands}}
 
-## Build
+{{#if libraries.length}}
+## Libraries
 
-Run \`ng build\` to build the project. The build artifacts will be stored in the \`dist/\` directory.
+{{#each libraries}}
+- \`{{name}}\`{{#unless (eq version "latest")}} {{version}}{{/unless}}{{#if isDev}} (dev){{/if}}
+{{/each}}
 
-## Running unit tests
-
-Run \`ng test\` to execute the unit tests via your test runner.
+{{/if}}
+{{#if structure}}
+## Project Structure
 
-## Running end-to-end tests
+Folders created by the {{structure.name}}:
 
-Run \`ng e2e\` to execute the end-to-end tests via a platform of your choice.
+\`\`\`
+{{#each structure.folders}}
+{{this}}/
+{{/each}}
+\`\`\`
 
+{{/if}}
 ## Further help
 
-To get more help on the Angular CLI use \`ng help\` or go check out the [Angular CLI Overview and Command Reference](https://angular.io/cli) page.
-
-## Project Structure
-
-\`\`\`
-src/
-├── app/
-│   ├── core/           # Singleton services, guards
-│   ├── shared/         # Common components, pipes, directives
-│   ├── features/       # Feature modules
-│   ├── models/         # TypeScript interfaces/types
-│   └── services/       # Business logic services
-\`\`\`
+To get more help on the Angular CLI use \`{{packageManager.commands.ng}} help\` or go check out the [Angular CLI Overview and Command Reference](https://angular.dev/tools/cli) page.
 
 ## Contributing
 
 1. Fork the repository
 2. Create your feature branch (\`git checkout -b feature/amazing-feature\`)
-3. Commit your changes (\`git commit -m 'Add some amazing feature'\`)
+3. Commit your changes (\`git commit -m 'feat: add some amazing feature'\`)
 4. Push to the branch (\`git push origin feature/amazing-feature\`)
 5. Open a Pull Request
 
@@ -0,0 +1,350 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { homedir } from 'os';
+import chalk from 'chalk';
+import semver from 'semver';
+import { input, confirm } from '@inquirer/prompts';
+import { LIBRARY_BUNDLES } from '../templates/templates.js';
+import { parseList, parseLibrarySpec } from './cli-options.js';
+
+const BUNDLES_DIR = path.join(homedir(), '.ng-init');
+const BUNDLES_FILE = path.join(BUNDLES_DIR, 'bundles.json');
+
+/**
+ * Ensure bundles directory exists
+ */
+async function ensureBundlesDirectory() {
+    try {
+        await fs.mkdir(BUNDLES_DIR, { recursive: true });
+        return true;
+    } catch (error) {
+        console.error(chalk.red('Failed to create bundles directory:'), error.message);
+        return false;
+    }
+}
+
+/**
+ * Load all custom bundles
+ */
+export async function loadBundles() {
+    try {
+        await ensureBundlesDirectory();
+        const content = await fs.readFile(BUNDLES_FILE, 'utf-8');
+        return JSON.parse(content);
+    } catch (error) {
+        // File doesn't exist or is invalid
+        return {};
+    }
+}
+
+/**
+ * Save custom bundles
+ */
+async function saveBundles(bundles) {
+    try {
+        await ensureBundlesDirectory();
+        await fs.writeFile(BUNDLES_FILE, JSON.stringify(bundles, null, 2), 'utf-8');
+        return true;
+    } catch (error) {
+        console.error(chalk.red('Failed to save bundles:'), error.message);
+        return false;
+    }
+}
+
+/**
+ * Validate a bundle definition, returning a list of error messages
+ */
+export function validateBundle(bundle) {
+    const errors = [];
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return ['Bundle must be an object'];
+    }
+
+    if (bundle.description !== undefined && typeof bundle.description !== 'string') {
+        errors.push('description: must be a string');
+    }
+
+    ['packages', 'devPackages'].forEach(key => {
+        if (bundle[key] === undefined) return;
+
+        if (!Array.isArray(bundle[key])) {
+            errors.push(`${key}: must be a list`);
+            return;
+        }
+
+        bundle[key].forEach((pkg, index) => {
+            if (!pkg || typeof pkg.name !== 'string' || !pkg.name) {
+                errors.push(`${key}[${index}]: must have a "name"`);
+                return;
+            }
+            if (pkg.version !== undefined && typeof pkg.version !== 'string') {
+                errors.push(`${key}[${index}].version: must be a string`);
+            }
+            Object.entries(pkg.versions || {}).forEach(([major, range]) => {
+                if (!/^\d+$/.test(major)) {
+                    errors.push(`${key}[${index}].versions: "${major}" is not an Angular major version`);
+                } else if (typeof range !== 'string' || (range !== 'latest' && !semver.validRange(range))) {
+                    errors.push(`${key}[${index}].versions.${major}: "${range}" is not a version range`);
+                }
+            });
+        });
+    });
+
+    if ((bundle.packages || []).length + (bundle.devPackages || []).length === 0) {
+        errors.push('A bundle needs at least one package');
+    }
+
+    return errors;
+}
+
+/**
+ * Save a custom bundle
+ */
+export async function saveBundle(name, bundle) {
+    if (LIBRARY_BUNDLES[name]) {
+        console.log(chalk.red(`"${name}" is a built-in bundle; choose another name`));
+        return false;
+    }
+
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+        console.log(chalk.red(`Invalid bundle "${name}":`));
+        errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+        return false;
+    }
+
+    const bundles = await loadBundles();
+
+    bundles[name] = {
+        name: bundle.name || name,
+        description: bundle.description || '',
+        packages: bundle.packages || [],
+        devPackages: bundle.devPackages || [],
+        createdAt: bundles[name]?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    const success = await saveBundles(bundles);
+
+    if (success) {
+        console.log(chalk.green(`✓ Bundle "${name}" saved successfully`));
+    }
+
+    return success;
+}
+
+/**
+ * Parse a per-major pin such as "@ngrx/store:19=^19.0.0"
+ */
+export function parsePin(spec) {
+    const match = String(spec).match(/^(.+):(\d+)=(.+)$/);
+
+    if (!match) {
+        throw new Error(`Invalid pin "${spec}". Use <package>:<angular major>=<range>, e.g. "@ngrx/store:19=^19.0.0"`);
+    }
+
+    return { name: match[1], major: match[2], range: match[3] };
+}
+
+/**
+ * Build a bundle from `bundle create` flags, prompting for missing values
+ * when a terminal is available
+ */
+async function buildBundleFromOptions(options) {
+    const interactive = Boolean(process.stdin.isTTY);
+    let { description, packages, devPackages } = options;
+    const pins = (options.pin || []).map(parsePin);
+
+    if (packages === undefined && devPackages === undefined && interactive) {
+        description = description ?? await input({ message: 'Description:' });
+        packages = await input({ message: 'Packages (comma-separated, e.g. "@ngrx/store@^19.0.0,lodash"):' });
+        devPackages = await input({ message: 'Dev packages (comma-separated, optional):' });
+
+        if (await confirm({ message: 'Pin version ranges per Angular major?', default: false })) {
+            for (const spec of [...parseList(packages), ...parseList(devPackages)]) {
+                const { name } = parseLibrarySpec(spec);
+                const answer = await input({ message: `Ranges for ${name} (e.g. "18=^18.0.0,19=^19.0.0", empty to skip):` });
+                parseList(answer).forEach(pin => pins.push(parsePin(`${name}:${pin}`)));
+            }
+        }
+    }
+
+    const toPackage = spec => {
+        const { name, version } = parseLibrarySpec(spec);
+        const versions = Object.fromEntries(pins.filter(pin => pin.name === name).map(pin => [pin.major, pin.range]));
+        return { name, version, ...(Object.keys(versions).length > 0 ? { versions } : {}) };
+    };
+
+    const bundle = {
+        description: description || '',
+        packages: parseList(packages).map(toPackage),
+        devPackages: parseList(devPackages).map(toPackage)
+    };
+
+    const unknownPins = pins.filter(pin => ![...bundle.packages, ...bundle.devPackages].some(pkg => pkg.name === pin.name));
+    if (unknownPins.length > 0) {
+        throw new Error(`Pinned package(s) not in the bundle: ${unknownPins.map(pin => pin.name).join(', ')}`);
+    }
+
+    return bundle;
+}
+
+/**
+ * Create (or replace) a custom bundle from `bundle create` flags or prompts
+ */
+export async function createBundle(name, options = {}) {
+    return saveBundle(name, await buildBundleFromOptions(options));
+}
+
+/**
+ * Load a custom bundle
+ */
+export async function loadBundle(name) {
+    const bundles = await loadBundles();
+    return bundles[name] || null;
+}
+
+/**
+ * Delete a custom bundle
+ */
+export async function deleteBundle(name) {
+    const bundles = await loadBundles();
+
+    if (!bundles[name]) {
+        console.log(chalk.yellow(`Bundle "${name}" not found`));
+        return false;
+    }
+
+    delete bundles[name];
+    const success = await saveBundles(bundles);
+
+    if (success) {
+        console.log(chalk.green(`✓ Bundle "${name}" deleted successfully`));
+    }
+
+    return success;
+}
+
+/**
+ * List all custom bundles
+ */
+export async function listBundles() {
+    const bundles = await loadBundles();
+    return Object.keys(bundles);
+}
+
+/**
+ * Get the built-in bundles followed by the custom ones (marked `custom: true`)
+ */
+export async function getAllBundles() {
+    const custom = await loadBundles();
+
+    return {
+        ...LIBRARY_BUNDLES,
+        ...Object.fromEntries(Object.entries(custom)
+            .filter(([key]) => !LIBRARY_BUNDLES[key])
+            .map(([key, bundle]) => [key, { ...bundle, custom: true }]))
+    };
+}
+
+/**
+ * Get a bundle's libraries for an Angular version: a package's pin for the
+ * Angular major wins over its default version
+ */
+export function resolveBundlePackages(bundle, angularVersion) {
+    const major = angularVersion ? String(semver.major(semver.coerce(angularVersion) || '0.0.0')) : null;
+
+    const resolve = (pkg, isDev) => ({
+        name: pkg.name,
+        version: (major && pkg.versions?.[major]) || pkg.version || 'latest',
+        ...(isDev ? { isDev: true } : {})
+    });
+
+    return [
+        ...(bundle.packages || []).map(pkg => resolve(pkg, false)),
+        ...(bundle.devPackages || []).map(pkg => resolve(pkg, true))
+    ];
+}
+
+/**
+ * Export bundle to file
+ */
+export async function exportBundle(name, outputPath) {
+    const bundle = await loadBundle(name);
+
+    if (!bundle) {
+        console.log(chalk.red(`Bundle "${name}" not found`));
+        return false;
+    }
+
+    try {
+        const exportData = {
+            name: name,
+            bundle: bundle,
+            exportedAt: new Date().toISOString(),
+            version: '1.0.0'
+        };
+
+        await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2), 'utf-8');
+        console.log(chalk.green(`✓ Bundle exported to ${outputPath}`));
+        return true;
+    } catch (error) {
+        console.error(chalk.red('Failed to export bundle:'), error.message);
+        return false;
+    }
+}
+
+/**
+ * Import bundle from file
+ */
+export async function importBundle(filePath) {
+    try {
+        const content = await fs.readFile(filePath, 'utf-8');
+        const importData = JSON.parse(content);
+
+        if (!importData.name || !importData.bundle) {
+            console.log(chalk.red('Invalid bundle file format'));
+            return false;
+        }
+
+        return await saveBundle(importData.name, importData.bundle);
+    } catch (error) {
+        console.error(chalk.red('Failed to import bundle:'), error.message);
+        return false;
+    }
+}
+
+/**
+ * Display bundle information
+ */
+export function displayBundleInfo(name, bundle) {
+    console.log(chalk.bold.cyan(`\n📦 Bundle: ${name}\n`));
+    console.log(chalk.gray('━'.repeat(50)));
+
+    if (bundle.name && bundle.name !== name) {
+        console.log(chalk.white('Name:         ') + chalk.cyan(bundle.name));
+    }
+
+    if (bundle.description) {
+        console.log(chalk.white('Description:  ') + chalk.gray(bundle.description));
+    }
+
+    [['Packages:', bundle.packages], ['Dev Packages:', bundle.devPackages]]
+        .filter(([, packages]) => packages && packages.length > 0)
+        .forEach(([label, packages]) => {
+            console.log(chalk.white(label));
+            packages.forEach(pkg => {
+                console.log(chalk.gray(`  • ${pkg.name}@${pkg.version || 'latest'}`));
+                Object.entries(pkg.versions || {}).forEach(([major, range]) => {
+                    console.log(chalk.gray(`      Angular ${major}: ${range}`));
+                });
+            });
+        });
+
+    if (bundle.createdAt) {
+        console.log(chalk.white('Created:      ') + chalk.gray(new Date(bundle.createdAt).toLocaleString()));
+    }
+
+    console.log(chalk.gray('━'.repeat(50)) + '\n');
+}
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const STATE_FILE = '.ng-init-state.json';
+
+/**
+ * Keep the state file out of commits (including the initial commit) without
+ * touching the project's .gitignore
+ */
+async function excludeFromGit(projectPath) {
+    const excludePath = path.join(projectPath, '.git', 'info', 'exclude');
+
+    try {
+        await fs.access(path.join(projectPath, '.git'));
+    } catch {
+        return;
+    }
+
+    let content = '';
+    try {
+        content = await fs.readFile(excludePath, 'utf-8');
+    } catch {
+        // The exclude file is optional
+    }
+
+    if (!content.split(/\r?\n/).includes(STATE_FILE)) {
+        await fs.mkdir(path.dirname(excludePath), { recursive: true });
+        await fs.writeFile(excludePath, `${content}${content && !content.endsWith('\n') ? '\n' : ''}${STATE_FILE}\n`, 'utf-8');
+    }
+}
+
+/**
+ * Create the state of a run that has not completed any step yet
+ */
+export function createRunState(config, resolvedLibraries, generatorVersion) {
+    return {
+        generator: { name: 'ng-init', version: generatorVersion },
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        config,
+        resolvedLibraries,
+        completedSteps: []
+    };
+}
+
+/**
+ * Mark a step as completed and write the state file into the project directory
+ */
+export async function writeCheckpoint(projectPath, state, stepId) {
+    if (stepId && !state.completedSteps.includes(stepId)) {
+        state.completedSteps.push(stepId);
+    }
+    state.updatedAt = new Date().toISOString();
+
+    await fs.writeFile(path.join(projectPath, STATE_FILE), JSON.stringify(state, null, 2), 'utf-8');
+    await excludeFromGit(projectPath);
+}
+
+/**
+ * Read the state file of an interrupted run, or null when there is none
+ */
+export async function readCheckpoint(projectPath) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(projectPath, STATE_FILE), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Could not read ${STATE_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Remove the state file once every step has completed
+ */
+export async function removeCheckpoint(projectPath) {
+    await fs.rm(path.join(projectPath, STATE_FILE), { force: true });
+}
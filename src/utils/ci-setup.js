@@ -0,0 +1,72 @@
+import chalk from 'chalk';
+import semver from 'semver';
+import { CI_PROVIDERS, TEST_RUNNERS } from '../templates/templates.js';
+import { getRecommendedNodeVersion } from './compatibility.js';
+import { DEFAULT_PACKAGE_MANAGER, LOCKFILES, getFrozenInstallCommand, getRunCommand, getSetupCommands, getCacheSettings } from './package-manager.js';
+import { getDefaultTestRunner } from './test-runner-setup.js';
+import { getDistPath } from './docker-setup.js';
+import { createProjectFiles } from './file-utils.js';
+import { renderFiles } from './template-engine.js';
+
+export const DEFAULT_CI_PROVIDER = 'github';
+
+// Download cache folder per package manager, kept in the provider's workspace
+const CACHE_FOLDERS = { npm: '.npm', pnpm: '.pnpm-store', yarn: '.yarn-cache', bun: '.bun-cache' };
+
+/**
+ * Get the pipeline file to write for a CI provider
+ */
+export function getCiFiles(provider) {
+    const { file, template } = CI_PROVIDERS[provider];
+    return { [file]: template };
+}
+
+/**
+ * Build the variables the pipeline templates use, except the output path
+ * which is read from the generated angular.json
+ */
+export function buildCiContext(config, provider, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const format = ({ command, args }) => [command, ...args].join(' ');
+    const { workspace, cacheKey } = CI_PROVIDERS[provider];
+    const runner = TEST_RUNNERS[config.testRunner || getDefaultTestRunner(config.angularVersion)];
+
+    // bun writes bun.lockb before 1.2 and bun.lock since
+    const lockfiles = packageManager.name === 'bun' ? ['bun.lock', 'bun.lockb'] : [LOCKFILES[packageManager.name]];
+    const lockfilePattern = packageManager.name === 'bun' ? 'bun.lock*' : lockfiles[0];
+    const cacheFolder = CACHE_FOLDERS[packageManager.name];
+    const cachePath = `${workspace}/${cacheFolder}`;
+    const cache = getCacheSettings(cachePath, packageManager);
+
+    return {
+        // The latest release of the recommended LTS line satisfies the range too
+        nodeVersion: semver.major(getRecommendedNodeVersion(config.nodeRange)),
+        // setup-node caches the package managers the runner image already has
+        nodeCache: packageManager.name === 'npm' || (packageManager.name === 'yarn' && !packageManager.berry) ? packageManager.name : null,
+        setup: getSetupCommands(packageManager).map(format).join(' && ') || null,
+        configure: cache.command && format(cache.command),
+        env: Object.entries(cache.env).map(([name, value]) => ({ name, value })),
+        cacheFolder,
+        cachePath,
+        cacheKey: cacheKey ? cacheKey(packageManager.name, lockfilePattern) : null,
+        lockfiles,
+        install: format(getFrozenInstallCommand(packageManager)),
+        lint: (config.features || []).includes('eslint') ? format(getRunCommand('lint', [], packageManager)) : null,
+        test: format(getRunCommand('test', runner.ci.args, packageManager)),
+        browser: runner.ci.browser,
+        build: format(getRunCommand('build', ['--configuration', 'production'], packageManager))
+    };
+}
+
+/**
+ * Write the pipeline file once the project exists, with the output path of
+ * the generated angular.json
+ */
+export async function createCiFiles(projectPath, projectName, files, context, ci) {
+    try {
+        const distPath = await getDistPath(projectPath, projectName);
+        return createProjectFiles(projectPath, renderFiles(files, { ...context, ci: { ...ci, distPath } }, { builtIn: true }));
+    } catch (error) {
+        console.error(chalk.red('Failed to create the CI pipeline:'), error.message);
+        return false;
+    }
+}
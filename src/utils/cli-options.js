@@ -0,0 +1,178 @@
+import path from 'path';
+import { PROJECT_FEATURES, STYLE_FORMATS, TEST_RUNNERS, CI_PROVIDERS } from '../templates/templates.js';
+import { getProjectTemplates, getProjectStructures } from './template-loader.js';
+import { validateDirectoryName } from './file-utils.js';
+import { PACKAGE_MANAGERS } from './package-manager.js';
+import { environmentsFromNames, validateEnvironments } from './environment-builder.js';
+
+/**
+ * Split a comma-separated flag value into trimmed entries
+ */
+export function parseList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    return String(value)
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item && item !== 'none');
+}
+
+/**
+ * Parse a library spec such as "lodash", "lodash@4" or "@angular/material@^17.0.0"
+ */
+export function parseLibrarySpec(spec) {
+    // The version separator is the last "@" that is not the scope prefix
+    const atIndex = spec.lastIndexOf('@');
+
+    if (atIndex > 0) {
+        return {
+            name: spec.slice(0, atIndex),
+            version: spec.slice(atIndex + 1) || 'latest'
+        };
+    }
+
+    return { name: spec, version: 'latest' };
+}
+
+/**
+ * Build a partial project configuration from `ng-init create` flags
+ */
+export function buildConfigFromOptions(options = {}) {
+    const config = {};
+
+    if (options.name !== undefined) {
+        const validation = validateDirectoryName(options.name);
+        if (validation !== true) {
+            throw new Error(`Invalid --name "${options.name}": ${validation}`);
+        }
+        config.projectName = options.name;
+    }
+
+    if (options.angular !== undefined) {
+        config.angularVersion = String(options.angular).trim();
+    }
+
+    if (options.template !== undefined) {
+        if (options.template !== 'custom' && !getProjectTemplates()[options.template]) {
+            const available = [...Object.keys(getProjectTemplates()), 'custom'].join(', ');
+            throw new Error(`Unknown --template "${options.template}". Available templates: ${available}`);
+        }
+        config.template = options.template;
+    }
+
+    if (options.structure !== undefined) {
+        if (!getProjectStructures()[options.structure]) {
+            throw new Error(`Unknown --structure "${options.structure}". Available structures: ${Object.keys(getProjectStructures()).join(', ')}`);
+        }
+        config.structure = options.structure;
+    }
+
+    if (options.testRunner !== undefined) {
+        if (!TEST_RUNNERS[options.testRunner]) {
+            throw new Error(`Unknown --test-runner "${options.testRunner}". Available test runners: ${Object.keys(TEST_RUNNERS).join(', ')}`);
+        }
+        config.testRunner = options.testRunner;
+    }
+
+    if (options.environments !== undefined) {
+        const environments = environmentsFromNames(parseList(options.environments));
+        const errors = validateEnvironments(environments);
+        if (errors.length > 0) {
+            throw new Error(`Invalid --environments "${options.environments}": ${errors.join('; ')}`);
+        }
+        config.environments = environments;
+    }
+
+    if (options.ci !== undefined) {
+        if (!CI_PROVIDERS[options.ci]) {
+            throw new Error(`Unknown --ci "${options.ci}". Available CI providers: ${Object.keys(CI_PROVIDERS).join(', ')}`);
+        }
+        config.ci = options.ci;
+    }
+
+    if (options.style !== undefined && !STYLE_FORMATS.includes(options.style)) {
+        throw new Error(`Unknown --style "${options.style}". Available formats: ${STYLE_FORMATS.join(', ')}`);
+    }
+
+    if (options.libraries !== undefined) {
+        config.libraries = parseList(options.libraries).map(parseLibrarySpec);
+    }
+
+    if (options.features !== undefined) {
+        const knownFeatures = PROJECT_FEATURES.map(feature => feature.value);
+        const features = parseList(options.features);
+        const unknown = features.filter(feature => !knownFeatures.includes(feature));
+
+        if (unknown.length > 0) {
+            throw new Error(`Unknown --features value(s): ${unknown.join(', ')}. Available features: ${knownFeatures.join(', ')}`);
+        }
+        config.features = features;
+    }
+
+    if (options.location !== undefined) {
+        config.location = path.resolve(options.location);
+    }
+
+    if (options.packageManager !== undefined) {
+        if (!PACKAGE_MANAGERS.includes(options.packageManager)) {
+            throw new Error(`Unknown --package-manager "${options.packageManager}". Available package managers: ${PACKAGE_MANAGERS.join(', ')}`);
+        }
+        config.packageManager = options.packageManager;
+    }
+
+    return config;
+}
+
+/**
+ * Fill values the user did not specify with the defaults the prompts would offer (used by --yes)
+ */
+export function applyDefaultOptions(config) {
+    return {
+        ...config,
+        location: config.location || process.cwd(),
+        template: config.template || Object.keys(getProjectTemplates())[0],
+        libraries: config.libraries || [],
+        features: config.features || PROJECT_FEATURES.filter(feature => feature.checked).map(feature => feature.value)
+    };
+}
+
+/**
+ * List the values that would have to be prompted for, as flag/description pairs
+ */
+export function getMissingOptions(config, options = {}) {
+    const missing = [];
+
+    if (!config.projectName) {
+        missing.push({ flag: '--name <name>', description: 'project name' });
+    }
+
+    if (!config.angularVersion) {
+        missing.push({ flag: '--angular <version>', description: 'Angular version (e.g. 19, ^18.2.0 or latest)' });
+    }
+
+    if (!config.location) {
+        missing.push({ flag: '--location <path>', description: 'parent directory for the project' });
+    }
+
+    if (!config.template) {
+        missing.push({ flag: '--template <template>', description: `project template (${[...Object.keys(getProjectTemplates()), 'custom'].join(', ')})` });
+    } else if (config.template === 'custom' && !config.options && !options.style) {
+        missing.push({ flag: '--style <style>', description: `stylesheet format for the custom template (${STYLE_FORMATS.join(', ')})` });
+    }
+
+    if (!config.libraries) {
+        missing.push({ flag: '--libraries <list>', description: 'comma-separated libraries, or "none"' });
+    }
+
+    if (!config.features) {
+        missing.push({ flag: '--features <list>', description: 'comma-separated features, or "none"' });
+    }
+
+    if (!options.yes && !options.dryRun) {
+        missing.push({ flag: '--yes', description: 'confirm project creation without prompting' });
+    }
+
+    return missing;
+}
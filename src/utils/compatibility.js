@@ -1,13 +1,8 @@
 import semver from 'semver';
 import chalk from 'chalk';
-import axios from 'axios';
-
-const NPM_REGISTRY_URL = 'https://registry.npmjs.org';
-
-// Cache for npm registry responses to avoid repeated requests
-const packageCache = new Map();
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const MAX_CACHE_SIZE = 100; // Maximum number of cached packages
+import { fetchPackageDocument, isOfflineMode, recordStaleSource } from './registry.js';
+import { log } from './logger.js';
+import { solvePeerDependencies } from './peer-solver.js';
 
 /**
  * Check if current Node version is compatible with Angular version
@@ -34,19 +29,19 @@ export function checkNodeCompatibility(currentNodeVersion, requiredNodeVersion)
  * Display compatibility status
  */
 export function displayCompatibilityStatus(compatibility) {
-    console.log(chalk.bold.cyan('\n📋 Compatibility Check\n'));
-    console.log(chalk.gray('━'.repeat(50)));
+    log(chalk.bold.cyan('\n📋 Compatibility Check\n'));
+    log(chalk.gray('━'.repeat(50)));
     
-    console.log(chalk.white('Current Node.js:  ') + chalk.cyan(`v${compatibility.current}`));
-    console.log(chalk.white('Required Node.js: ') + chalk.cyan(compatibility.required));
+    log(chalk.white('Current Node.js:  ') + chalk.cyan(`v${compatibility.current}`));
+    log(chalk.white('Required Node.js: ') + chalk.cyan(compatibility.required));
     
     if (compatibility.compatible) {
-        console.log(chalk.white('Status:           ') + chalk.green('✓ Compatible'));
+        log(chalk.white('Status:           ') + chalk.green('✓ Compatible'));
     } else {
-        console.log(chalk.white('Status:           ') + chalk.red('✗ Incompatible'));
+        log(chalk.white('Status:           ') + chalk.red('✗ Incompatible'));
     }
     
-    console.log(chalk.gray('━'.repeat(50)) + '\n');
+    log(chalk.gray('━'.repeat(50)) + '\n');
     
     return compatibility.compatible;
 }
@@ -68,30 +63,18 @@ export function findCompatibleVersions(availableVersions, requiredRange) {
     }
 }
 
+// Latest release of each Node.js LTS line, oldest first
+const NODE_LTS_VERSIONS = ['14.21.3', '16.20.2', '18.20.8', '20.19.5', '22.21.0', '24.11.0'];
+
 /**
- * Get recommended Node version from range
+ * Get recommended Node version from range: the oldest LTS line that
+ * satisfies it, at its latest release
  */
 export function getRecommendedNodeVersion(requiredRange) {
-    // Parse the range to get recommended version
     try {
-        const ranges = requiredRange.split('||').map(r => r.trim());
-        
-        // Try to extract version numbers
-        for (const range of ranges) {
-            const match = range.match(/(\d+)\./);
-            if (match) {
-                const major = parseInt(match[1]);
-                // Recommend LTS versions
-                if (major === 20) return '20.11.0';
-                if (major === 18) return '18.19.0';
-                if (major === 16) return '16.20.2';
-                if (major === 14) return '14.21.3';
-            }
-        }
-        
-        return '18.19.0'; // Default to Node 18 LTS
+        return NODE_LTS_VERSIONS.find(version => semver.satisfies(version, requiredRange)) || '18.20.8';
     } catch (error) {
-        return '18.19.0';
+        return '18.20.8';
     }
 }
 
@@ -102,11 +85,9 @@ export function getRecommendedNodeVersion(requiredRange) {
 export async function getAngularNodeCompatibility(angularVersion) {
     try {
         // Fetch from @angular/cli package to get accurate engine requirements
-        const response = await axios.get(`${NPM_REGISTRY_URL}/@angular/cli/${angularVersion}`, {
-            timeout: 5000
-        });
+        const data = await fetchPackageDocument('@angular/cli', angularVersion, { timeout: 5000 });
         
-        const engines = response.data.engines || {};
+        const engines = data.engines || {};
         return engines.node || null;
     } catch (error) {
         // Fallback to estimated requirements based on major version
@@ -116,6 +97,8 @@ export async function getAngularNodeCompatibility(angularVersion) {
 
 // Fallback matrix only used when npm registry is unavailable
 const ANGULAR_NODE_FALLBACK = {
+    '21': '^20.19.0 || ^22.12.0 || ^24.0.0',
+    '20': '^20.19.0 || ^22.12.0 || ^24.0.0',
     '19': '^18.19.1 || ^20.11.1 || ^22.0.0',
     '18': '^18.19.1 || ^20.11.1 || ^22.0.0',
     '17': '^18.13.0 || ^20.9.0',
@@ -131,6 +114,32 @@ const ANGULAR_NODE_FALLBACK = {
 // Keep backward compatibility export
 export const ANGULAR_NODE_COMPATIBILITY = ANGULAR_NODE_FALLBACK;
 
+/**
+ * Get the Node requirement for an Angular version from the fallback matrix.
+ * Majors newer than the matrix use the newest known requirement.
+ */
+export function getFallbackNodeRequirement(angularVersion) {
+    const majorVersion = String(angularVersion).split('.')[0];
+    const knownMajors = Object.keys(ANGULAR_NODE_FALLBACK).map(Number).sort((a, b) => b - a);
+
+    recordStaleSource(`Node.js requirement for Angular ${majorVersion}`);
+
+    if (ANGULAR_NODE_FALLBACK[majorVersion]) {
+        return ANGULAR_NODE_FALLBACK[majorVersion];
+    }
+
+    return Number(majorVersion) > knownMajors[0]
+        ? ANGULAR_NODE_FALLBACK[knownMajors[0]]
+        : '^18.13.0 || ^20.9.0';
+}
+
+/**
+ * Get the Angular majors known to the fallback matrix (newest first)
+ */
+export function getFallbackAngularMajors() {
+    return Object.keys(ANGULAR_NODE_FALLBACK).sort((a, b) => Number(b) - Number(a));
+}
+
 /**
  * Get Node requirement from compatibility matrix (with dynamic fetch)
  */
@@ -142,8 +151,7 @@ export async function getNodeRequirementFromMatrix(angularVersion) {
     }
     
     // Fallback to static matrix
-    const majorVersion = angularVersion.split('.')[0];
-    return ANGULAR_NODE_FALLBACK[majorVersion] || '^18.13.0 || ^20.9.0';
+    return getFallbackNodeRequirement(angularVersion);
 }
 
 /**
@@ -182,33 +190,15 @@ export function needsAngularCli(currentAngularCliVersion, targetAngularVersion)
 }
 
 /**
- * Fetch package data from npm registry with caching
+ * Fetch package data from npm registry (cached by the registry client)
  */
 async function fetchPackageData(packageName) {
-    const cacheKey = packageName;
-    const cached = packageCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
-        return cached.data;
-    }
-    
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/${encodeURIComponent(packageName)}`, {
-            timeout: 10000
-        });
-        
-        const data = response.data;
-        
-        // Clean up old cache entries if cache is too large
-        if (packageCache.size >= MAX_CACHE_SIZE) {
-            const oldestKey = packageCache.keys().next().value;
-            packageCache.delete(oldestKey);
-        }
-        
-        packageCache.set(cacheKey, { data, timestamp: Date.now() });
-        return data;
+        return await fetchPackageDocument(packageName);
     } catch (error) {
-        console.error(chalk.gray(`Could not fetch package data for ${packageName}: ${error.message}`));
+        if (!isOfflineMode()) {
+            console.error(chalk.gray(`Could not fetch package data for ${packageName}: ${error.message}`));
+        }
         return null;
     }
 }
@@ -218,11 +208,13 @@ async function fetchPackageData(packageName) {
  */
 async function fetchPackageVersionData(packageName, version) {
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/${encodeURIComponent(packageName)}/${version}`, {
-            timeout: 5000
-        });
-        return response.data;
+        return await fetchPackageDocument(packageName, version, { timeout: 5000 });
     } catch (error) {
+        // The packument holds every version document, and may be cached when this one is not
+        if (isOfflineMode()) {
+            const packageData = await fetchPackageData(packageName);
+            return packageData?.versions?.[version] || null;
+        }
         return null;
     }
 }
@@ -236,119 +228,93 @@ export async function getPackagePeerDependencies(packageName, version) {
 }
 
 /**
- * Check if a specific library version is compatible with Angular version
+ * Get the registry metadata of a package version that matters for a health
+ * check: peer dependencies (and which are optional), deprecation and engines.
+ * Returns null when the version cannot be fetched.
  */
-export async function isVersionCompatibleWithAngular(packageName, version, angularVersion) {
-    const peerDeps = await getPackagePeerDependencies(packageName, version);
-    
-    // Check for Angular peer dependencies
-    const angularDep = peerDeps['@angular/core'] || peerDeps['@angular/common'];
-    
-    if (!angularDep) {
-        // No Angular peer dependency - likely compatible
-        return { compatible: true, reason: 'No Angular peer dependency' };
-    }
-    
-    try {
-        // Check if the Angular version satisfies the peer dependency
-        const isCompatible = semver.satisfies(angularVersion, angularDep);
-        return {
-            compatible: isCompatible,
-            peerDependency: angularDep,
-            reason: isCompatible 
-                ? `Angular ${angularVersion} satisfies ${angularDep}`
-                : `Angular ${angularVersion} does not satisfy ${angularDep}`
-        };
-    } catch (error) {
-        // If semver fails, try pattern matching as fallback
-        const angularMajor = angularVersion.split('.')[0];
-        const patterns = [`^${angularMajor}.`, `~${angularMajor}.`, `>=${angularMajor}.`, `${angularMajor}.`];
-        const isCompatible = patterns.some(p => angularDep.includes(p));
-        
-        return {
-            compatible: isCompatible,
-            peerDependency: angularDep,
-            reason: isCompatible 
-                ? `Peer dependency appears compatible with Angular ${angularMajor}`
-                : `Peer dependency ${angularDep} may not support Angular ${angularMajor}`
-        };
+export async function getPackageVersionInfo(packageName, version) {
+    const versionData = await fetchPackageVersionData(packageName, version);
+
+    if (!versionData) {
+        return null;
     }
+
+    return {
+        peerDependencies: versionData.peerDependencies || {},
+        peerDependenciesMeta: versionData.peerDependenciesMeta || {},
+        deprecated: versionData.deprecated || null,
+        engines: versionData.engines || {}
+    };
 }
 
 /**
- * Dynamically find a compatible version of a library for a given Angular version
+ * Get the Angular peer dependency of a library version, if it has one
  */
-export async function findCompatibleLibraryVersion(packageName, angularVersion, preferLatest = true) {
-    const packageData = await fetchPackageData(packageName);
-    
-    if (!packageData) {
-        return { version: 'latest', source: 'fallback', reason: 'Could not fetch package data' };
-    }
-    
-    const angularMajor = parseInt(angularVersion.split('.')[0]);
-    const versions = Object.keys(packageData.versions || {})
-        .filter(v => !v.includes('rc') && !v.includes('beta') && !v.includes('alpha') && !v.includes('next'))
-        .sort((a, b) => semver.rcompare(a, b)); // Newest first
-    
-    // For Angular-scoped packages, try to match major version first
-    if (packageName.startsWith('@angular/')) {
-        const matchingVersions = versions.filter(v => {
-            const vMajor = parseInt(v.split('.')[0]);
-            return vMajor === angularMajor;
-        });
-        
-        if (matchingVersions.length > 0) {
-            return { 
-                version: `^${matchingVersions[0]}`, 
-                source: 'dynamic', 
-                reason: `Matched Angular major version ${angularMajor}` 
-            };
-        }
-    }
-    
-    // For other packages, check peer dependencies
-    const compatibleVersions = [];
-    
-    // Check up to 20 versions to find compatible ones (for performance)
-    const versionsToCheck = versions.slice(0, 20);
-    
-    for (const version of versionsToCheck) {
-        const compatibility = await isVersionCompatibleWithAngular(packageName, version, angularVersion);
-        
-        if (compatibility.compatible) {
-            compatibleVersions.push({
-                version,
-                peerDependency: compatibility.peerDependency
-            });
-            
-            // If we found a compatible version and prefer latest, return immediately
-            if (preferLatest) {
-                return {
-                    version: `^${version}`,
-                    source: 'dynamic',
-                    reason: compatibility.reason,
-                    peerDependency: compatibility.peerDependency
-                };
-            }
-        }
+async function getAngularPeerDependency(packageName, version) {
+    const peerDeps = await getPackagePeerDependencies(packageName, version);
+    return peerDeps['@angular/core'] || peerDeps['@angular/common'];
+}
+
+/**
+ * Join the conflicts of an unsatisfiable solution into one reason
+ */
+function describeConflicts(solution) {
+    return solution.conflicts.flatMap(conflict => [conflict.message, ...conflict.details.filter(Boolean)]).join('; ');
+}
+
+/**
+ * Check if a specific library version (or range) is compatible with an
+ * Angular version. This goes through the peer dependency solver, so the
+ * RxJS, zone.js and TypeScript ranges are checked too.
+ */
+export async function isVersionCompatibleWithAngular(packageName, version, angularVersion) {
+    const solution = await solvePeerDependencies([{ name: packageName, version }], angularVersion);
+
+    if (!solution.satisfiable) {
+        return { compatible: false, reason: describeConflicts(solution) };
     }
-    
-    if (compatibleVersions.length > 0) {
-        const selected = compatibleVersions[0];
+
+    const resolved = solution.libraries.find(lib => lib.name === packageName);
+
+    return {
+        compatible: true,
+        peerDependency: resolved?.resolvedVersion ? await getAngularPeerDependency(packageName, resolved.resolvedVersion) : undefined,
+        reason: resolved?.reason || 'No Angular peer dependency'
+    };
+}
+
+/**
+ * Find a compatible version of a library for a given Angular version. This goes
+ * through the peer dependency solver, so create, add and upgrade pick the same
+ * versions. With preferLatest false the lowest compatible version is returned;
+ * minVersion skips versions below it (e.g. the one installed today).
+ */
+export async function findCompatibleLibraryVersion(packageName, angularVersion, preferLatest = true, minVersion = null) {
+    const requested = minVersion ? `>=${minVersion}` : 'latest';
+    const solution = await solvePeerDependencies([{ name: packageName, version: requested }], angularVersion, { preferOldest: !preferLatest });
+    const resolved = solution.libraries.find(lib => lib.name === packageName);
+
+    if (resolved?.resolvedVersion) {
         return {
-            version: `^${selected.version}`,
+            version: `^${resolved.resolvedVersion}`,
             source: 'dynamic',
-            reason: `Found ${compatibleVersions.length} compatible version(s)`,
-            peerDependency: selected.peerDependency
+            reason: resolved.reason,
+            peerDependency: await getAngularPeerDependency(packageName, resolved.resolvedVersion)
         };
     }
-    
+
+    const packageData = await fetchPackageData(packageName);
+
+    if (!packageData) {
+        return { version: 'latest', source: 'fallback', reason: 'Could not fetch package data' };
+    }
+
     // No compatible version found, return latest with warning
     const latest = packageData['dist-tags']?.latest;
     return {
         version: latest ? `^${latest}` : 'latest',
         source: 'fallback',
-        reason: 'No version with compatible Angular peer dependency found',
+        reason: solution.conflicts[0]?.message || 'No version with compatible Angular peer dependency found',
         warning: true
     };
 }
@@ -383,41 +349,19 @@ export function getCompatibleLibraryVersion(libraryName, angularVersion) {
 }
 
 /**
- * Resolve library versions for compatibility with Angular (async version)
+ * Resolve library versions for compatibility with Angular (async version).
+ * The libraries are solved jointly by the peer dependency solver; when no
+ * consistent set exists they are returned as requested, with a warning.
  */
 export async function resolveLibraryVersionsAsync(libraries, angularVersion) {
-    const resolved = [];
-    
-    for (const lib of libraries) {
-        const requestedVersion = lib.version || 'latest';
-        
-        if (requestedVersion === 'latest') {
-            const result = await findCompatibleLibraryVersion(lib.name, angularVersion);
-            
-            resolved.push({
-                ...lib,
-                version: result.version,
-                originalVersion: requestedVersion,
-                adjusted: result.source === 'dynamic',
-                source: result.source,
-                reason: result.reason,
-                warning: result.warning || false
-            });
-        } else {
-            // Verify the specific version is compatible
-            const compatibility = await isVersionCompatibleWithAngular(lib.name, requestedVersion.replace(/[\^~]/, ''), angularVersion);
-            
-            resolved.push({
-                ...lib,
-                adjusted: false,
-                compatible: compatibility.compatible,
-                reason: compatibility.reason,
-                warning: !compatibility.compatible
-            });
-        }
+    const solution = await solvePeerDependencies(libraries, angularVersion);
+
+    if (solution.satisfiable) {
+        return solution.libraries;
     }
-    
-    return resolved;
+
+    const reason = describeConflicts(solution);
+    return libraries.map(lib => ({ ...lib, adjusted: false, compatible: false, reason, warning: true }));
 }
 
 /**
@@ -496,34 +440,29 @@ export function checkLibraryCompatibility(peerDependency, angularVersion) {
 }
 
 /**
- * Get all compatible versions of a package for a given Angular version
+ * Get the compatible versions of a package for a given Angular version,
+ * newest first. Each solver run picks the newest compatible version below
+ * the previous one.
  */
 export async function getAllCompatibleVersions(packageName, angularVersion, maxResults = 10) {
-    const packageData = await fetchPackageData(packageName);
-    
-    if (!packageData) {
-        return [];
-    }
-    
-    const versions = Object.keys(packageData.versions || {})
-        .filter(v => !v.includes('rc') && !v.includes('beta') && !v.includes('alpha') && !v.includes('next'))
-        .sort((a, b) => semver.rcompare(a, b));
-    
     const compatibleVersions = [];
-    
-    for (const version of versions) {
-        if (compatibleVersions.length >= maxResults) break;
-        
-        const compatibility = await isVersionCompatibleWithAngular(packageName, version, angularVersion);
-        
-        if (compatibility.compatible) {
-            compatibleVersions.push({
-                version,
-                peerDependency: compatibility.peerDependency,
-                reason: compatibility.reason
-            });
+    let requested = 'latest';
+
+    while (compatibleVersions.length < maxResults) {
+        const solution = await solvePeerDependencies([{ name: packageName, version: requested }], angularVersion);
+        const resolved = solution.libraries.find(lib => lib.name === packageName);
+
+        if (!resolved?.resolvedVersion) {
+            break;
         }
+
+        compatibleVersions.push({
+            version: resolved.resolvedVersion,
+            peerDependency: await getAngularPeerDependency(packageName, resolved.resolvedVersion),
+            reason: resolved.reason
+        });
+        requested = `<${resolved.resolvedVersion}`;
     }
-    
+
     return compatibleVersions;
 }
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { CONFIG_PRESETS } from '../templates/templates.js';
+import { getRecommendedNodeVersion } from './compatibility.js';
+import { DEFAULT_PACKAGE_MANAGER, LOCKFILES, getFrozenInstallCommand, getRunCommand, getSetupCommands } from './package-manager.js';
+import { createProjectFiles } from './file-utils.js';
+import { parseJsonc } from './json-patcher.js';
+import { renderFiles } from './template-engine.js';
+
+/**
+ * Get the Docker files to write: the Dockerfile, nginx.conf and
+ * .dockerignore, plus docker-compose.yml when asked for
+ */
+export function getDockerFiles(compose = false) {
+    const preset = CONFIG_PRESETS.docker;
+    return compose ? { ...preset.files, ...preset.compose } : preset.files;
+}
+
+/**
+ * Get the files the install needs, copied before the sources so the
+ * dependency layer is cached until they change
+ */
+function getManifests(packageManager) {
+    // bun writes bun.lockb before 1.2 and bun.lock since
+    const lockfile = packageManager.name === 'bun' ? 'bun.lock*' : LOCKFILES[packageManager.name];
+    return ['package.json', lockfile, ...(packageManager.berry ? ['.yarnrc.yml'] : [])].join(' ');
+}
+
+/**
+ * Build the variables the Docker templates use, except the output path
+ * which is read from the generated angular.json
+ */
+export function buildDockerContext(nodeRange, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const format = ({ command, args }) => [command, ...args].join(' ');
+    const nodeVersion = getRecommendedNodeVersion(nodeRange);
+
+    return {
+        nodeVersion,
+        nodeImage: `node:${nodeVersion}-alpine`,
+        runtimeImage: CONFIG_PRESETS.docker.runtimeImage,
+        setup: getSetupCommands(packageManager).map(format).join(' && ') || null,
+        manifests: getManifests(packageManager),
+        install: format(getFrozenInstallCommand(packageManager)),
+        build: format(getRunCommand('build', [], packageManager))
+    };
+}
+
+/**
+ * Get the folder the browser files of an application are built to. The
+ * application builder (Angular 17+) writes them to a "browser" folder inside
+ * its output path; the browser builders write them to the output path itself.
+ */
+export async function getDistPath(projectPath, projectName) {
+    const workspace = parseJsonc(await fs.readFile(path.join(projectPath, 'angular.json'), 'utf-8'), 'angular.json');
+    const applications = Object.entries(workspace.projects || {}).filter(([, project]) => project.projectType === 'application');
+    const [name, project] = applications.find(([key]) => key === projectName) || applications[0] || [projectName, {}];
+    const build = project.architect?.build || {};
+    const outputPath = build.options?.outputPath;
+
+    if (build.builder?.endsWith(':application')) {
+        if (outputPath && typeof outputPath === 'object') {
+            return [outputPath.base, outputPath.browser ?? 'browser'].filter(Boolean).join('/');
+        }
+        return `${outputPath || `dist/${name}`}/browser`;
+    }
+
+    return outputPath || `dist/${name}`;
+}
+
+/**
+ * Write the Docker files once the project exists, with the output path of the
+ * generated angular.json
+ */
+export async function createDockerFiles(projectPath, projectName, files, context, docker) {
+    try {
+        const distPath = await getDistPath(projectPath, projectName);
+        console.log(chalk.gray(`  Node.js ${docker.nodeVersion} build, serving ${distPath} with nginx`));
+
+        return createProjectFiles(projectPath, renderFiles(files, { ...context, docker: { ...docker, distPath } }, { builtIn: true }));
+    } catch (error) {
+        console.error(chalk.red('Failed to create the Docker files:'), error.message);
+        return false;
+    }
+}
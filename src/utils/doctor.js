@@ -0,0 +1,282 @@
+import path from 'path';
+import semver from 'semver';
+import chalk from 'chalk';
+import ora from 'ora';
+import { findWorkspaceRoot, readWorkspace } from './workspace.js';
+import { getPackageVersionInfo, checkNodeCompatibility } from './compatibility.js';
+import { getNodeRequirementsForAngular } from './npm-search.js';
+import { getNodeVersion } from './version-checker.js';
+import { getStaleSources, displayStaleDataNotice } from './registry.js';
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+const STATUS_ICONS = {
+    pass: chalk.green('✓'),
+    warn: chalk.yellow('⚠'),
+    fail: chalk.red('✗')
+};
+
+const CATEGORIES = {
+    environment: 'Environment',
+    peers: 'Peer dependencies',
+    deprecated: 'Deprecated packages'
+};
+
+/**
+ * Get the most severe of several statuses
+ */
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'pass');
+}
+
+/**
+ * Check the Node.js version against the Angular CLI engine range, and the
+ * project's own engines.node against it
+ */
+async function checkNodeEngine(workspace) {
+    const checks = [];
+    const required = await getNodeRequirementsForAngular(workspace.angularVersion);
+    const nodeVersion = await getNodeVersion();
+
+    if (!nodeVersion) {
+        checks.push({ category: 'environment', name: 'Node.js', status: 'fail', message: 'Node.js is not installed' });
+    } else {
+        const compatibility = checkNodeCompatibility(nodeVersion, required);
+        checks.push({
+            category: 'environment',
+            name: 'Node.js',
+            status: compatibility.compatible ? 'pass' : 'fail',
+            message: compatibility.compatible
+                ? `Node.js ${nodeVersion} satisfies ${required} (Angular ${workspace.angularVersion})`
+                : `Node.js ${nodeVersion} does not satisfy ${required} required by Angular ${workspace.angularVersion}`
+        });
+    }
+
+    const declared = workspace.packageJson.engines?.node;
+    if (declared) {
+        let overlaps = false;
+        try {
+            overlaps = semver.intersects(declared, required);
+        } catch {
+            // An invalid range never overlaps
+        }
+
+        checks.push({
+            category: 'environment',
+            name: 'engines.node',
+            status: overlaps ? 'pass' : 'warn',
+            message: overlaps
+                ? `package.json engines.node ${declared} overlaps ${required}`
+                : `package.json engines.node ${declared} does not overlap ${required} required by Angular ${workspace.angularVersion}`
+        });
+    }
+
+    return checks;
+}
+
+/**
+ * Check that a lockfile exists and resolves versions inside the declared ranges
+ */
+function checkLockfile(workspace) {
+    const { lockfile } = workspace;
+
+    if (!lockfile) {
+        return [{ category: 'environment', name: 'Lockfile', status: 'warn', message: 'No lockfile found; versions are read from node_modules or package.json ranges' }];
+    }
+
+    if (lockfile.error) {
+        return [{ category: 'environment', name: 'Lockfile', status: 'warn', message: lockfile.error }];
+    }
+
+    const outdated = Object.values(workspace.dependencies)
+        .filter(dependency => dependency.source === 'lockfile' && semver.validRange(dependency.range))
+        .filter(dependency => !semver.satisfies(dependency.version, dependency.range, { includePrerelease: true }))
+        .map(dependency => `${dependency.name}: locked ${dependency.version}, package.json wants ${dependency.range}`);
+
+    return [{
+        category: 'environment',
+        name: 'Lockfile',
+        status: outdated.length > 0 ? 'warn' : 'pass',
+        message: outdated.length > 0 ? `${lockfile.file} is out of date with package.json` : `${lockfile.file} matches package.json`,
+        details: outdated
+    }];
+}
+
+/**
+ * Check one dependency's peer ranges against the installed versions and
+ * whether its installed version is deprecated
+ */
+async function checkDependency(dependency, workspace) {
+    const label = `${dependency.name}@${dependency.version}`;
+    const info = await getPackageVersionInfo(dependency.name, dependency.version);
+
+    if (!info) {
+        return [{ category: 'peers', name: label, status: 'warn', message: 'Could not fetch metadata from the registry' }];
+    }
+
+    const details = Object.entries(info.peerDependencies).map(([peerName, range]) => {
+        const peer = workspace.dependencies[peerName];
+        const optional = Boolean(info.peerDependenciesMeta[peerName]?.optional);
+
+        if (!peer?.version) {
+            return { status: optional ? 'pass' : 'warn', message: `${peerName} ${range} is not installed${optional ? ' (optional)' : ''}` };
+        }
+
+        let satisfied = false;
+        try {
+            satisfied = semver.satisfies(peer.version, range, { includePrerelease: true });
+        } catch {
+            // An invalid range is reported as unsatisfied
+        }
+
+        return {
+            status: satisfied ? 'pass' : 'fail',
+            message: `${peerName} ${range} ${satisfied ? 'satisfied by' : 'not satisfied by'} ${peer.version}`
+        };
+    });
+
+    const checks = [{
+        category: 'peers',
+        name: label,
+        status: worstStatus(details.map(detail => detail.status)),
+        message: details.length > 0 ? `${details.length} peer dependenc${details.length === 1 ? 'y' : 'ies'}` : 'No peer dependencies',
+        details: details.filter(detail => detail.status !== 'pass').map(detail => detail.message)
+    }];
+
+    if (info.deprecated) {
+        checks.push({ category: 'deprecated', name: label, status: 'warn', message: info.deprecated });
+    }
+
+    return checks;
+}
+
+/**
+ * Audit the dependencies of an Angular workspace. Returns a report with one
+ * entry per check and the overall status (the most severe one).
+ */
+export async function auditWorkspace(projectPath, { onProgress } = {}) {
+    const workspace = await readWorkspace(projectPath);
+    const dependency = name => workspace.dependencies[name]?.version || null;
+
+    const report = {
+        project: projectPath,
+        versions: {
+            angular: workspace.angularVersion,
+            rxjs: dependency('rxjs'),
+            typescript: dependency('typescript'),
+            node: await getNodeVersion()
+        },
+        lockfile: workspace.lockfile?.file || null,
+        checks: []
+    };
+
+    if (!workspace.angularVersion) {
+        report.checks.push({ category: 'environment', name: '@angular/core', status: 'fail', message: `Could not determine the Angular version from "${workspace.dependencies['@angular/core'].range}"` });
+    } else {
+        report.checks.push(...await checkNodeEngine(workspace));
+    }
+
+    report.checks.push(...checkLockfile(workspace));
+
+    // Dependencies that do not come from the registry (file:, git, workspace:) have no version to check
+    const registryDependencies = Object.values(workspace.dependencies).filter(candidate => semver.valid(candidate.version));
+    let checked = 0;
+
+    const results = await Promise.all(registryDependencies.map(async candidate => {
+        const checks = await checkDependency(candidate, workspace);
+        onProgress?.(++checked, registryDependencies.length);
+        return checks;
+    }));
+    results.forEach(checks => report.checks.push(...checks));
+
+    if (!report.checks.some(check => check.category === 'deprecated')) {
+        report.checks.push({ category: 'deprecated', name: 'Deprecations', status: 'pass', message: 'No installed version is deprecated' });
+    }
+
+    report.staleData = getStaleSources().map(source => source.description);
+    report.summary = Object.fromEntries(STATUS_ORDER.map(status => [status, report.checks.filter(check => check.status === status).length]));
+    report.status = worstStatus(report.checks.map(check => check.status));
+
+    return report;
+}
+
+/**
+ * Display a doctor report grouped by category
+ */
+export function displayDoctorReport(report) {
+    console.log(chalk.bold.cyan('\n🩺 Project Health\n'));
+    console.log(chalk.gray('━'.repeat(50)));
+    console.log(chalk.white('Project:     ') + chalk.cyan(report.project));
+    console.log(chalk.white('Angular:     ') + chalk.cyan(report.versions.angular || 'unknown'));
+    console.log(chalk.white('RxJS:        ') + chalk.cyan(report.versions.rxjs || 'not installed'));
+    console.log(chalk.white('TypeScript:  ') + chalk.cyan(report.versions.typescript || 'not installed'));
+    console.log(chalk.white('Node.js:     ') + chalk.cyan(report.versions.node ? `v${report.versions.node}` : 'not installed'));
+    console.log(chalk.white('Lockfile:    ') + chalk.cyan(report.lockfile || 'none'));
+    console.log(chalk.gray('━'.repeat(50)) + '\n');
+
+    Object.entries(CATEGORIES).forEach(([category, title]) => {
+        const checks = report.checks.filter(check => check.category === category);
+        if (checks.length === 0) return;
+
+        console.log(chalk.bold.white(title));
+
+        // Passing peer checks are summarized to keep the report readable
+        const shown = category === 'peers' ? checks.filter(check => check.status !== 'pass') : checks;
+        shown.forEach(check => {
+            console.log(`  ${STATUS_ICONS[check.status]} ${chalk.white(check.name)} ${chalk.gray('—')} ${check.message}`);
+            (check.details || []).forEach(detail => console.log(chalk.gray(`      └─ ${detail}`)));
+        });
+
+        if (shown.length < checks.length) {
+            console.log(`  ${STATUS_ICONS.pass} ${chalk.gray(`${checks.length - shown.length} dependencies have compatible peer dependencies`)}`);
+        }
+        console.log('');
+    });
+
+    displayStaleDataNotice();
+
+    const { pass, warn, fail } = report.summary;
+    const color = { pass: chalk.bold.green, warn: chalk.bold.yellow, fail: chalk.bold.red }[report.status];
+    console.log(chalk.gray('━'.repeat(50)));
+    console.log(color(`${report.status.toUpperCase()}`) + chalk.gray(`  ${pass} passed, ${warn} warnings, ${fail} failed`));
+    console.log(chalk.gray('━'.repeat(50)) + '\n');
+}
+
+/**
+ * Run `ng-init doctor`: audit the workspace and print the report (or JSON
+ * for CI). The exit code is 1 when a check fails.
+ */
+export async function runDoctor(options = {}) {
+    let spinner = null;
+
+    try {
+        const startDir = path.resolve(options.project || process.cwd());
+        const projectPath = await findWorkspaceRoot(startDir);
+
+        if (!projectPath) {
+            throw new Error(`No Angular workspace found in ${startDir} or its parent directories (no package.json with @angular/core).`);
+        }
+
+        spinner = ora({ text: 'Checking dependencies...', isSilent: Boolean(options.json) }).start();
+        const report = await auditWorkspace(projectPath, {
+            onProgress: (done, total) => { spinner.text = `Checking dependencies (${done}/${total})...`; }
+        });
+        spinner.stop();
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            displayDoctorReport(report);
+        }
+
+        process.exitCode = report.status === 'fail' ? 1 : 0;
+    } catch (err) {
+        spinner?.stop();
+        if (options.json) {
+            console.log(JSON.stringify({ status: 'fail', error: err.message }, null, 2));
+        } else {
+            console.error(chalk.red('\n❌ Error:'), err.message);
+        }
+        process.exit(1);
+    }
+}
@@ -0,0 +1,165 @@
+import { DEFAULT_ENVIRONMENTS } from '../templates/templates.js';
+
+const ENVIRONMENTS_FOLDER = 'environments';
+
+// Values given to the keys of environments that have no defaults, by type
+const EMPTY_VALUES = { string: '', number: 0, boolean: false };
+
+/**
+ * Build environments from configuration names: known names get the default
+ * values, other names the keys of the defaults with empty values
+ */
+export function environmentsFromNames(names) {
+    const [template] = Object.values(DEFAULT_ENVIRONMENTS);
+    const empty = Object.fromEntries(Object.entries(template).map(([key, value]) => [key, EMPTY_VALUES[typeof value]]));
+
+    return Object.fromEntries(names.map(name => [name, structuredClone(DEFAULT_ENVIRONMENTS[name] || empty)]));
+}
+
+/**
+ * Validate environments (configuration name → values). Every environment
+ * needs the same keys with values of the same type. Returns a list of errors.
+ */
+export function validateEnvironments(environments) {
+    if (!environments || typeof environments !== 'object' || Array.isArray(environments)) {
+        return ['must be an object of configuration name → values'];
+    }
+
+    const entries = Object.entries(environments);
+    if (entries.length === 0) {
+        return ['must contain at least one environment'];
+    }
+
+    const errors = [];
+    const types = {};
+
+    entries.forEach(([name, values]) => {
+        if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+            errors.push(`${name}: configuration names use lowercase letters, digits and dashes`);
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            errors.push(`${name}: must be an object of key → value`);
+            return;
+        }
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (!/^[A-Za-z_$][\w$]*$/.test(key)) {
+                errors.push(`${name}.${key}: keys must be valid identifiers`);
+            } else if (!(typeof value in EMPTY_VALUES)) {
+                errors.push(`${name}.${key}: must be a string, number or boolean`);
+            } else if (types[key] && types[key] !== typeof value) {
+                errors.push(`${name}.${key}: must be a ${types[key]} like in the other environments`);
+            } else {
+                types[key] ||= typeof value;
+            }
+        });
+    });
+
+    entries.forEach(([name, values]) => {
+        Object.keys(types)
+            .filter(key => values && typeof values === 'object' && !(key in values))
+            .forEach(key => errors.push(`${name}.${key}: missing (every environment needs the same keys)`));
+    });
+
+    return errors;
+}
+
+/**
+ * Format a value as a TypeScript literal
+ */
+function toLiteral(value) {
+    return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : String(value);
+}
+
+/**
+ * Build an environment file exporting the values as an Environment
+ */
+function buildEnvironmentFile(values, comment) {
+    const lines = Object.entries(values).map(([key, value]) => `  ${key}: ${toLiteral(value)},`);
+
+    return `import { Environment } from './environment.model';
+
+// ${comment}
+export const environment: Environment = {
+${lines.join('\n')}
+};
+`;
+}
+
+/**
+ * Get the environment whose values environment.ts holds: development when
+ * there is one, else the first
+ */
+function getBaseEnvironment(environments) {
+    return environments.development ? 'development' : Object.keys(environments)[0];
+}
+
+/**
+ * Build the environment files: the Environment interface, environment.ts
+ * (used when no configuration replaces it, e.g. by ng test) and one
+ * environment.<name>.ts per configuration
+ */
+export function buildEnvironmentFiles(environments, sourceRoot = 'src') {
+    const folder = `${sourceRoot}/${ENVIRONMENTS_FOLDER}`;
+    const [first] = Object.values(environments);
+    const base = getBaseEnvironment(environments);
+
+    const properties = Object.entries(first).map(([key, value]) => `  ${key}: ${typeof value};`);
+
+    return {
+        [`${folder}/environment.model.ts`]: `/**
+ * Settings that differ between build configurations
+ */
+export interface Environment {
+${properties.join('\n')}
+}
+`,
+        [`${folder}/environment.ts`]: buildEnvironmentFile(environments[base], `Used when no build configuration replaces this file (e.g. by ng test); same values as "${base}"`),
+        ...Object.fromEntries(Object.entries(environments).map(([name, values]) => [
+            `${folder}/environment.${name}.ts`,
+            buildEnvironmentFile(values, `Replaces environment.ts in the "${name}" build configuration`)
+        ]))
+    };
+}
+
+/**
+ * Build the angular.json patch that adds, for every application, a build
+ * configuration per environment replacing environment.ts, and a matching
+ * serve configuration. New build configurations start from production's options.
+ */
+export function getEnvironmentPatch(environments) {
+    const names = Object.keys(environments);
+
+    return (existing) => {
+        Object.entries(existing.projects || {})
+            .filter(([, project]) => project.projectType === 'application' && project.architect?.build)
+            .forEach(([projectName, project]) => {
+                const folder = `${project.sourceRoot || 'src'}/${ENVIRONMENTS_FOLDER}`;
+                const replace = `${folder}/environment.ts`;
+                const configurations = project.architect.build.configurations ||= {};
+
+                names.forEach(name => {
+                    const configuration = configurations[name] || structuredClone(configurations.production || {});
+                    configurations[name] = {
+                        ...configuration,
+                        fileReplacements: [
+                            ...(configuration.fileReplacements || []).filter(replacement => replacement.replace !== replace),
+                            { replace, with: `${folder}/environment.${name}.ts` }
+                        ]
+                    };
+                });
+
+                const serve = project.architect.serve;
+                if (serve) {
+                    const serveConfigurations = serve.configurations ||= {};
+                    // Angular 17 renamed browserTarget to buildTarget
+                    const targetKey = Object.values(serveConfigurations).some(configuration => configuration.browserTarget) ? 'browserTarget' : 'buildTarget';
+
+                    names
+                        .filter(name => !serveConfigurations[name])
+                        .forEach(name => { serveConfigurations[name] = { [targetKey]: `${projectName}:build:${name}` }; });
+                }
+            });
+        return existing;
+    };
+}
@@ -0,0 +1,482 @@
+import path from 'path';
+import chalk from 'chalk';
+import semver from 'semver';
+import { createAngularProject, installPackages, uninstallPackages, runInstall, getCreateProjectCommand } from './installer.js';
+import { DEFAULT_PACKAGE_MANAGER, getInstallCommand, getUninstallCommand, getExecCommand, getPackageManagerFiles, formatPackageManager } from './package-manager.js';
+import { initGitRepo, createGitignore, createInitialCommit, createProjectFolders, createProjectFiles, createReadme, createChangelog, updatePackageJsonScripts } from './file-utils.js';
+import { CONFIG_PRESETS, PROJECT_STRUCTURE, GIT_CONFIG, DOC_TEMPLATES, DEFAULT_ENVIRONMENTS, CI_PROVIDERS } from '../templates/templates.js';
+import { getProjectTemplates, getProjectStructures, getTemplateStructure } from './template-loader.js';
+import { resolveStructure } from './structure-builder.js';
+import { buildEnvironmentFiles, getEnvironmentPatch } from './environment-builder.js';
+import { getDockerFiles, buildDockerContext, createDockerFiles } from './docker-setup.js';
+import { DEFAULT_CI_PROVIDER, getCiFiles, buildCiContext, createCiFiles } from './ci-setup.js';
+import { buildTemplateContext, renderFile, renderFiles } from './template-engine.js';
+import { patchProjectFiles } from './json-patcher.js';
+import { setupHusky } from './husky-setup.js';
+import { isCreatedByNgNew, getTestRunnerSetup, configureTestRunner } from './test-runner-setup.js';
+
+/**
+ * Format a resolved library as an install spec
+ */
+function toPackageSpec(lib) {
+    return lib.version === 'latest' ? lib.name : `${lib.name}@${lib.version}`;
+}
+
+/**
+ * Describe a command action
+ */
+function commandAction({ command, args }, cwd) {
+    return { type: 'command', command, args, cwd };
+}
+
+/**
+ * Describe file write actions for a map of project-relative paths
+ */
+function writeActions(files) {
+    return Object.keys(files).map(file => ({ type: 'write', path: file }));
+}
+
+/**
+ * Pick the ESLint setup for an Angular version: the flat-config
+ * angular-eslint package for 18+, the legacy @angular-eslint packages and
+ * .eslintrc.json (with a matching typescript-eslint) before that
+ */
+function getEslintSetup(angularVersion) {
+    const preset = CONFIG_PRESETS.eslint;
+    const major = semver.coerce(angularVersion)?.major ?? preset.flatConfigSince;
+
+    if (major >= preset.flatConfigSince) {
+        return { flat: true, packages: preset.flat.packages(major), files: { ...preset.flat.files(major), ...preset.files } };
+    }
+
+    const typescriptEslint = preset.typescriptEslint[major] || preset.typescriptEslint[15];
+    return { flat: false, packages: preset.legacy.packages(major, typescriptEslint), files: { ...preset.legacy.files(major), ...preset.files } };
+}
+
+/**
+ * Build the ordered list of steps that create the project.
+ *
+ * Every step lists the actions it performs (commands, folders, files) so the
+ * plan can be printed without running anything, and a `run` function that
+ * performs them. Steps marked `required` abort the run when they fail.
+ */
+export function buildExecutionPlan(config, projectPath, resolvedLibraries = [], packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const steps = [];
+    const location = path.dirname(projectPath);
+    const features = config.features || [];
+    const template = getProjectTemplates()[config.template] || null;
+
+    // Resolve the structure first so generated files can describe it (templates
+    // that declare one, or an explicit --structure, always get it)
+    const templateStructure = getTemplateStructure(template);
+    const structureDefinition = features.includes('structure') || templateStructure || config.structure
+        ? (config.structure && getProjectStructures()[config.structure]) || templateStructure || PROJECT_STRUCTURE.standard
+        : null;
+    const structure = structureDefinition && resolveStructure(structureDefinition, { standalone: Boolean(config.options?.standalone) });
+
+    // An explicit set of environments implies the feature
+    const environments = features.includes('environments') || config.environments
+        ? config.environments || DEFAULT_ENVIRONMENTS
+        : null;
+
+    // Every generated file is rendered with the project configuration
+    const context = buildTemplateContext(config, {
+        resolvedLibraries,
+        packageManager,
+        structure: structure && { name: structure.name, folders: structure.folders },
+        environments
+    });
+
+    // Create Angular project
+    const createOptions = {
+        ...config.options,
+        ...(config.testRunner && isCreatedByNgNew(config.testRunner, config.angularVersion) ? { testRunner: config.testRunner } : {}),
+        // With the git feature ng-init initializes Git and makes the first commit
+        // itself, so ng new's own "initial commit" does not precede it. Without
+        // it ng new's repository and commit are all the project gets.
+        ...(features.includes('git') ? { skipGit: true } : {}),
+        skipInstall: true
+    };
+
+    steps.push({
+        id: 'create-project',
+        title: 'Create Angular project',
+        required: true,
+        actions: [commandAction(getCreateProjectCommand(config.projectName, config.angularVersion, createOptions, packageManager), location)],
+        run: async () => {
+            console.log(chalk.bold.cyan('\n🚀 Creating Angular project...\n'));
+            return createAngularProject(config.projectName, config.angularVersion, createOptions, location, packageManager);
+        }
+    });
+
+    // Package manager configuration needed before the first install
+    const packageManagerFiles = renderFiles(getPackageManagerFiles(packageManager), context, { builtIn: true });
+
+    if (Object.keys(packageManagerFiles).length > 0) {
+        steps.push({
+            id: 'package-manager-config',
+            title: `Configure ${packageManager.name}`,
+            required: true,
+            actions: writeActions(packageManagerFiles),
+            run: () => createProjectFiles(projectPath, packageManagerFiles)
+        });
+    }
+
+    // Install libraries
+    const prodSpecs = resolvedLibraries.filter(lib => !lib.isDev).map(toPackageSpec);
+    const devSpecs = resolvedLibraries.filter(lib => lib.isDev).map(toPackageSpec);
+
+    if (prodSpecs.length > 0) {
+        steps.push({
+            id: 'install-libraries',
+            title: 'Install production libraries',
+            actions: [commandAction(getInstallCommand(prodSpecs, false, false, packageManager), projectPath)],
+            run: async () => {
+                console.log(chalk.bold.cyan('📦 Installing production libraries...\n'));
+                return installPackages(prodSpecs, projectPath, false, packageManager);
+            }
+        });
+    }
+
+    if (devSpecs.length > 0) {
+        steps.push({
+            id: 'install-dev-libraries',
+            title: 'Install dev libraries',
+            actions: [commandAction(getInstallCommand(devSpecs, true, false, packageManager), projectPath)],
+            run: async () => {
+                console.log(chalk.bold.cyan('📦 Installing dev libraries...\n'));
+                return installPackages(devSpecs, projectPath, true, packageManager);
+            }
+        });
+    }
+
+    // Install dependencies
+    steps.push({
+        id: 'install-dependencies',
+        title: 'Install dependencies',
+        actions: [commandAction(getInstallCommand([], false, false, packageManager), projectPath)],
+        run: async () => {
+            console.log(chalk.bold.cyan('\n📥 Installing dependencies...\n'));
+            return runInstall(projectPath, packageManager);
+        }
+    });
+
+    // Create project structure
+    if (structure) {
+        // Files of user-defined structures are only rendered when they end in .hbs
+        const userDefined = structureDefinition === templateStructure ? Boolean(template?.origin) : Boolean(structureDefinition.origin);
+        const structureFiles = renderFiles(structure.files, context, { builtIn: !userDefined });
+
+        steps.push({
+            id: 'structure',
+            title: `Create project structure (${structure.name}, ${config.options?.standalone ? 'standalone' : 'NgModule'})`,
+            actions: [
+                ...structure.folders.map(folder => ({ type: 'mkdir', path: folder })),
+                ...writeActions(structureFiles)
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan('\n📁 Creating project structure...\n'));
+                const foldersCreated = await createProjectFolders(projectPath, structure.folders);
+                const filesCreated = Object.keys(structureFiles).length > 0 ? await createProjectFiles(projectPath, structureFiles) : true;
+                return foldersCreated && filesCreated;
+            }
+        });
+    }
+
+    // Add the template's own files
+    if (template?.files && Object.keys(template.files).length > 0) {
+        const templateFiles = renderFiles(template.files, context, { builtIn: !template.origin });
+
+        steps.push({
+            id: 'template-files',
+            title: `Add ${template.name} template files`,
+            actions: writeActions(templateFiles),
+            run: async () => {
+                console.log(chalk.bold.cyan(`\n📄 Adding ${template.name} template files...\n`));
+                return createProjectFiles(projectPath, templateFiles);
+            }
+        });
+    }
+
+    // Patch the files ng new generated with the selected config presets
+    ['typescript', 'budgets'].filter(preset => features.includes(preset)).forEach(preset => {
+        const { name, patches } = CONFIG_PRESETS[preset];
+
+        steps.push({
+            id: preset,
+            title: `Apply ${name} preset`,
+            actions: Object.keys(patches).map(file => ({ type: 'update', path: file, description: name })),
+            run: async () => {
+                console.log(chalk.bold.cyan(`\n🔧 Applying ${name} preset...\n`));
+                return patchProjectFiles(projectPath, patches);
+            }
+        });
+    });
+
+    // Write environment files and a build/serve configuration per environment
+    if (environments) {
+        const environmentFiles = renderFiles(buildEnvironmentFiles(environments), context, { builtIn: true });
+
+        steps.push({
+            id: 'environments',
+            title: `Add environments (${Object.keys(environments).join(', ')})`,
+            actions: [
+                ...writeActions(environmentFiles),
+                { type: 'update', path: 'angular.json', description: 'fileReplacements, build and serve configurations' }
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan('\n🌍 Adding environments...\n'));
+                const written = await createProjectFiles(projectPath, environmentFiles);
+                return written && patchProjectFiles(projectPath, { 'angular.json': getEnvironmentPatch(environments) });
+            }
+        });
+    }
+
+    // Docker image build (docker-compose implies the Dockerfile it builds)
+    if (features.includes('docker') || features.includes('docker-compose')) {
+        const dockerFiles = getDockerFiles(features.includes('docker-compose'));
+        const docker = buildDockerContext(config.nodeRange, packageManager);
+
+        steps.push({
+            id: 'docker',
+            title: `Add Docker files (${docker.nodeImage} build, nginx runtime)`,
+            actions: writeActions(dockerFiles),
+            run: async () => {
+                console.log(chalk.bold.cyan('\n🐳 Adding Docker files...\n'));
+                return createDockerFiles(projectPath, config.projectName, dockerFiles, context, docker);
+            }
+        });
+    }
+
+    // CI pipeline for the chosen provider (an explicit provider implies the feature)
+    if (features.includes('ci') || config.ci) {
+        const provider = config.ci || DEFAULT_CI_PROVIDER;
+        const ciFiles = getCiFiles(provider);
+        const ci = buildCiContext(config, provider, packageManager);
+
+        steps.push({
+            id: 'ci',
+            title: `Add CI pipeline for ${CI_PROVIDERS[provider].name} (Node.js ${ci.nodeVersion}, ${packageManager.name})`,
+            actions: writeActions(ciFiles),
+            run: async () => {
+                console.log(chalk.bold.cyan(`\n⚙️  Adding CI pipeline for ${CI_PROVIDERS[provider].name}...\n`));
+                return createCiFiles(projectPath, config.projectName, ciFiles, context, ci);
+            }
+        });
+    }
+
+    // Switch from the test runner ng new generated to the selected one
+    if (config.testRunner && !isCreatedByNgNew(config.testRunner, config.angularVersion)) {
+        const testRunner = getTestRunnerSetup(config.testRunner, config.angularVersion);
+        const testRunnerFiles = renderFiles(testRunner.files, context, { builtIn: true });
+
+        steps.push({
+            id: 'test-runner',
+            title: `Set up ${testRunner.name}`,
+            actions: [
+                ...(testRunner.remove.length > 0 ? [commandAction(getUninstallCommand(testRunner.remove, packageManager), projectPath)] : []),
+                ...(testRunner.install.length > 0 ? [commandAction(getInstallCommand(testRunner.install, true, false, packageManager), projectPath)] : []),
+                ...testRunner.removeFiles.map(file => ({ type: 'remove', path: file, description: 'if present' })),
+                ...writeActions(testRunnerFiles),
+                { type: 'update', path: 'angular.json', description: 'test target' },
+                { type: 'update', path: 'tsconfig.spec.json', description: 'types' }
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan(`\n🧪 Setting up ${testRunner.name}...\n`));
+                const removed = testRunner.remove.length === 0 || await uninstallPackages(testRunner.remove, projectPath, packageManager);
+                const installed = removed && (testRunner.install.length === 0 || await installPackages(testRunner.install, projectPath, true, packageManager));
+                const written = installed && (Object.keys(testRunnerFiles).length === 0 || await createProjectFiles(projectPath, testRunnerFiles));
+                return written && configureTestRunner(projectPath, config.testRunner, config.angularVersion);
+            }
+        });
+    }
+
+    // Initialize Git
+    if (features.includes('git')) {
+        steps.push({
+            id: 'git-init',
+            title: 'Initialize Git repository',
+            actions: [
+                { type: 'command', command: 'git', args: ['init'], cwd: projectPath },
+                { type: 'write', path: '.gitignore' }
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan('\n🔧 Initializing Git repository...\n'));
+                const initialized = await initGitRepo(projectPath);
+                const ignored = await createGitignore(projectPath, renderFile('.gitignore', GIT_CONFIG.gitignore, context, { builtIn: true }));
+                return initialized && ignored;
+            }
+        });
+    }
+
+    // Generate documentation
+    if (features.includes('readme')) {
+        steps.push({
+            id: 'readme',
+            title: 'Generate README.md',
+            actions: [{ type: 'write', path: 'README.md' }],
+            run: async () => {
+                console.log(chalk.bold.cyan('\n📝 Generating README.md...\n'));
+                return createReadme(projectPath, renderFile('README.md', DOC_TEMPLATES.readme, context, { builtIn: true }));
+            }
+        });
+    }
+
+    if (features.includes('changelog')) {
+        steps.push({
+            id: 'changelog',
+            title: 'Generate CHANGELOG.md',
+            actions: [{ type: 'write', path: 'CHANGELOG.md' }],
+            run: () => createChangelog(projectPath, renderFile('CHANGELOG.md', DOC_TEMPLATES.changelog, context, { builtIn: true }))
+        });
+    }
+
+    // Setup ESLint
+    if (features.includes('eslint')) {
+        const eslint = getEslintSetup(config.angularVersion);
+        const eslintFiles = renderFiles(eslint.files, context, { builtIn: true });
+        const { patches, scripts } = CONFIG_PRESETS.eslint;
+
+        steps.push({
+            id: 'eslint',
+            title: `Set up ESLint + Prettier (angular-eslint, ${eslint.flat ? 'flat config' : 'legacy config'})`,
+            actions: [
+                commandAction(getInstallCommand(eslint.packages, true, false, packageManager), projectPath),
+                ...writeActions(eslintFiles),
+                { type: 'update', path: 'angular.json', description: 'lint target' },
+                { type: 'update', path: 'package.json', description: `scripts: ${Object.keys(scripts).join(', ')}` }
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan('\n🔧 Setting up ESLint + Prettier...\n'));
+                const installed = await installPackages(eslint.packages, projectPath, true, packageManager);
+                const written = installed && await createProjectFiles(projectPath, eslintFiles);
+                const patched = written && await patchProjectFiles(projectPath, patches);
+                return patched && updatePackageJsonScripts(projectPath, scripts);
+            }
+        });
+    }
+
+    // Setup Husky (after Git is initialized; the hooks depend on the installed Husky major).
+    // commitlint alone still needs Husky to install its commit-msg hook.
+    const hookFeatures = ['husky', 'commitlint'].filter(feature => features.includes(feature));
+
+    if (hookFeatures.length > 0) {
+        const hookPresets = hookFeatures.map(feature => CONFIG_PRESETS[feature]);
+        const huskyPackages = [...new Set(['husky', ...hookPresets.flatMap(preset => preset.devPackages)])];
+        const huskyFiles = renderFiles(Object.assign({}, ...hookPresets.map(preset => preset.files)), context, { builtIn: true });
+        const hooks = Object.assign({}, ...hookPresets.map(preset => preset.hooks));
+        const tools = hookFeatures.map(feature => (feature === 'husky' ? 'lint-staged' : feature)).join(' + ');
+
+        steps.push({
+            id: 'husky',
+            title: `Set up Husky + ${tools}`,
+            actions: [
+                commandAction(getInstallCommand(huskyPackages, true, false, packageManager), projectPath),
+                ...writeActions(huskyFiles),
+                ...(features.includes('git') ? [] : [{ type: 'command', command: 'git', args: ['init'], cwd: projectPath }]),
+                commandAction(getExecCommand('husky', [], packageManager), projectPath),
+                ...writeActions(Object.fromEntries(Object.keys(hooks).map(hook => [`.husky/${hook}`, '']))),
+                { type: 'update', path: 'package.json', description: 'scripts: prepare ("husky" for Husky 9+, "husky install" before)' },
+                ...(hooks['pre-commit'] ? [{ type: 'command', command: 'git', args: ['commit', '--allow-empty', '-m', 'chore: verify git hooks'], cwd: projectPath }] : []),
+                ...(hooks['commit-msg'] ? [{ type: 'command', command: 'git', args: ['commit', '--allow-empty', '-m', 'verify git hooks'], cwd: projectPath }] : [])
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan(`\n🐶 Setting up Husky + ${tools}...\n`));
+                const installed = await installPackages(huskyPackages, projectPath, true, packageManager);
+                const written = installed && await createProjectFiles(projectPath, huskyFiles);
+                return written && setupHusky(projectPath, packageManager, hooks);
+            }
+        });
+    }
+
+    // Create initial commit
+    if (features.includes('git') && config.git?.initialCommit !== false) {
+        const message = config.git?.initialCommitMessage || GIT_CONFIG.initialCommitMessage;
+
+        steps.push({
+            id: 'initial-commit',
+            title: 'Create initial commit',
+            actions: [
+                { type: 'command', command: 'git', args: ['add', '.'], cwd: projectPath },
+                { type: 'command', command: 'git', args: ['commit', '-m', message], cwd: projectPath }
+            ],
+            run: async () => {
+                console.log(chalk.bold.cyan('\n📝 Creating initial commit...\n'));
+                return createInitialCommit(projectPath, message);
+            }
+        });
+    }
+
+    return steps;
+}
+
+/**
+ * Quote a command argument for display when it contains shell metacharacters
+ */
+function quoteArg(arg) {
+    return /^[\w@%+=:,./^~-]+$/.test(arg) ? arg : `"${arg.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * Format a command and its arguments for display
+ */
+export function formatCommand(command, args = []) {
+    return [command, ...args].map(quoteArg).join(' ');
+}
+
+/**
+ * Convert the plan into a serializable object (drops the run functions)
+ */
+export function serializeExecutionPlan(steps, config, projectPath, generatorVersion, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    return {
+        generator: { name: 'ng-init', version: generatorVersion },
+        projectPath,
+        angularVersion: config.angularVersion,
+        packageManager: formatPackageManager(packageManager),
+        steps: steps.map(({ id, title, required, actions }) => ({
+            id,
+            title,
+            required: Boolean(required),
+            actions
+        }))
+    };
+}
+
+/**
+ * Print the execution plan in human-readable form
+ */
+export function displayExecutionPlan(steps, projectPath) {
+    console.log(chalk.bold.cyan('\n🧪 Execution Plan (dry run - nothing will be executed)\n'));
+    console.log(chalk.gray('━'.repeat(50)));
+    console.log(chalk.white('Project path: ') + chalk.cyan(projectPath) + '\n');
+
+    steps.forEach((step, index) => {
+        console.log(chalk.bold.white(`${index + 1}. ${step.title}`) + (step.required ? chalk.gray(' (required)') : ''));
+
+        step.actions.forEach(action => {
+            switch (action.type) {
+                case 'command': {
+                    const relative = path.relative(projectPath, action.cwd);
+                    const cwd = relative.startsWith('..') ? action.cwd : relative || '.';
+                    console.log(chalk.green(`   $ ${formatCommand(action.command, action.args)}`) + chalk.gray(`  (cwd: ${cwd})`));
+                    break;
+                }
+                case 'mkdir':
+                    console.log(chalk.cyan(`   + mkdir ${action.path}`));
+                    break;
+                case 'write':
+                    console.log(chalk.cyan(`   + write ${action.path}`));
+                    break;
+                case 'remove':
+                    console.log(chalk.red(`   - remove ${action.path}`) + (action.description ? chalk.gray(` (${action.description})`) : ''));
+                    break;
+                default:
+                    console.log(chalk.yellow(`   ~ ${action.type} ${action.path}`) + (action.description ? chalk.gray(` (${action.description})`) : ''));
+            }
+        });
+
+        console.log('');
+    });
+
+    console.log(chalk.gray('━'.repeat(50)) + '\n');
+}
@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import semver from 'semver';
+import { execa } from 'execa';
+import { CONFIG_PRESETS } from '../templates/templates.js';
+import { DEFAULT_PACKAGE_MANAGER, getExecCommand } from './package-manager.js';
+import { readLockfile, getInstalledVersion } from './workspace.js';
+import { initGitRepo, readPackageJson, updatePackageJsonScripts } from './file-utils.js';
+
+const HOOKS_DIR = '.husky';
+const VERIFY_COMMIT_MESSAGE = 'chore: verify git hooks';
+const INVALID_COMMIT_MESSAGE = 'verify git hooks';
+
+/**
+ * Get the major version of the Husky installed in a project, or null
+ */
+export async function getHuskyMajor(projectPath) {
+    const packageJson = await readPackageJson(projectPath);
+    const range = packageJson?.devDependencies?.husky || packageJson?.dependencies?.husky || null;
+    const { version } = await getInstalledVersion(projectPath, 'husky', range, await readLockfile(projectPath));
+
+    return version ? semver.major(version) : null;
+}
+
+/**
+ * Build the content of a hook that runs a project binary with its arguments.
+ * Husky 5–8 hooks source husky.sh; Husky 9 hooks are plain shell scripts.
+ */
+function buildHook(hookCommand, huskyMajor, packageManager) {
+    const [binary, ...hookArgs] = hookCommand.split(' ');
+    const { command, args } = getExecCommand(binary, hookArgs, packageManager);
+    const run = [command, ...args].join(' ');
+
+    return huskyMajor >= 9
+        ? `${run}\n`
+        : `#!/usr/bin/env sh\n. "$(dirname -- "$0")/_/husky.sh"\n\n${run}\n`;
+}
+
+/**
+ * Get the package.json scripts for a Husky major
+ */
+function getHuskyScripts(huskyMajor) {
+    return huskyMajor >= 9 ? CONFIG_PRESETS.husky.scripts[9] : CONFIG_PRESETS.husky.scripts[5];
+}
+
+/**
+ * Write Git hooks (hook name → command) for the installed Husky version and
+ * make them executable
+ */
+export async function writeHooks(projectPath, huskyMajor, packageManager = DEFAULT_PACKAGE_MANAGER, hooks = CONFIG_PRESETS.husky.hooks) {
+    await fs.mkdir(path.join(projectPath, HOOKS_DIR), { recursive: true });
+
+    for (const [hook, hookCommand] of Object.entries(hooks)) {
+        const hookPath = path.join(projectPath, HOOKS_DIR, hook);
+        await fs.writeFile(hookPath, buildHook(hookCommand, huskyMajor, packageManager), 'utf-8');
+        await fs.chmod(hookPath, 0o755);
+    }
+}
+
+/**
+ * Make a commit with no changes and drop it again. Returns whether the commit
+ * was made, and the output of the commit and its hooks.
+ */
+async function makeTestCommit(projectPath, message) {
+    const { exitCode: hadHead } = await execa('git', ['rev-parse', '--verify', '-q', 'HEAD'], { cwd: projectPath, reject: false });
+    const result = await execa('git', ['commit', '--allow-empty', '-m', message], { cwd: projectPath, all: true, reject: false, env: { FORCE_COLOR: '0' } });
+
+    if (result.exitCode !== 0) {
+        return { ok: false, output: result.all || result.shortMessage };
+    }
+
+    // Drop the test commit; an unborn branch has no parent to reset to
+    if (hadHead === 0) {
+        await execa('git', ['reset', '--soft', 'HEAD~1'], { cwd: projectPath });
+    } else {
+        await execa('git', ['update-ref', '-d', 'HEAD'], { cwd: projectPath });
+    }
+
+    return { ok: true, output: result.all };
+}
+
+/**
+ * Check the installed hooks with test commits (dropped again): the pre-commit
+ * hook has to run lint-staged and the commit-msg hook has to reject a message
+ * that is not a conventional commit. Returns true (the hooks ran), false (a
+ * hook did not run) or null (a commit failed for another reason, e.g. no Git identity).
+ */
+export async function verifyHooks(projectPath, hooks = CONFIG_PRESETS.husky.hooks) {
+    if (hooks['pre-commit']) {
+        const { ok, output } = await makeTestCommit(projectPath, VERIFY_COMMIT_MESSAGE);
+
+        if (!ok) {
+            console.log(chalk.yellow(`⚠️  Could not make a test commit to verify the hooks: ${output}`));
+            return null;
+        }
+        if (!/lint-staged|No staged files/i.test(output)) {
+            return false;
+        }
+    }
+
+    if (hooks['commit-msg']) {
+        const { ok, output } = await makeTestCommit(projectPath, INVALID_COMMIT_MESSAGE);
+
+        if (ok) {
+            return false;
+        }
+        if (!/subject may not be empty|type may not be empty/i.test(output)) {
+            console.log(chalk.yellow(`⚠️  Could not make a test commit to verify the hooks: ${output}`));
+            return null;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Set up Husky after its packages are installed: initialize Git if needed,
+ * install the hooks (hook name → command) for the installed Husky major, add
+ * the prepare script, and verify the hooks with test commits
+ */
+export async function setupHusky(projectPath, packageManager = DEFAULT_PACKAGE_MANAGER, hooks = CONFIG_PRESETS.husky.hooks) {
+    try {
+        const huskyMajor = await getHuskyMajor(projectPath);
+
+        if (!huskyMajor || huskyMajor < 5) {
+            console.log(chalk.red(`Husky ${huskyMajor ?? '(not installed)'} is not supported; install husky 5 or later.`));
+            return false;
+        }
+
+        // Husky installs its hooks into .git, so the repository has to exist first
+        try {
+            await fs.access(path.join(projectPath, '.git'));
+        } catch {
+            if (!await initGitRepo(projectPath)) {
+                return false;
+            }
+        }
+
+        const scripts = getHuskyScripts(huskyMajor);
+        const { command, args } = getExecCommand('husky', huskyMajor >= 9 ? [] : ['install'], packageManager);
+        await execa(command, args, { cwd: projectPath });
+        await writeHooks(projectPath, huskyMajor, packageManager, hooks);
+        console.log(chalk.green(`✓ Installed Husky ${huskyMajor} hooks: ${Object.keys(hooks).join(', ')}`));
+
+        if (!await updatePackageJsonScripts(projectPath, scripts)) {
+            return false;
+        }
+
+        const verified = await verifyHooks(projectPath, hooks);
+        if (verified === false) {
+            console.log(chalk.red(`✗ A test commit did not run the ${Object.keys(hooks).join(' and ')} hook(s); check core.hooksPath and the .husky hooks`));
+            return false;
+        }
+        if (verified) {
+            console.log(chalk.green(`✓ Verified the ${Object.keys(hooks).join(' and ')} hook(s) with test commits`));
+        }
+
+        return true;
+    } catch (error) {
+        console.error(chalk.red('Failed to set up Husky:'), error.shortMessage || error.message);
+        return false;
+    }
+}
@@ -2,6 +2,8 @@ import { execa } from 'execa';
 import ora from 'ora';
 import chalk from 'chalk';
 import { platform } from 'os';
+import semver from 'semver';
+import { DEFAULT_PACKAGE_MANAGER, getInstallCommand, getUninstallCommand, getInitCommand, getGlobalInstallCommand, getDlxCommand, getNgNewPackageManager, supportsLegacyPeerDeps } from './package-manager.js';
 
 /**
  * Install Node.js using winget (Windows)
@@ -145,14 +147,15 @@ export function displayNvmInstallGuide() {
 }
 
 /**
- * Install npm package globally
+ * Install a package globally
  */
-export async function installGlobalPackage(packageName, version = 'latest') {
+export async function installGlobalPackage(packageName, version = 'latest', packageManager = DEFAULT_PACKAGE_MANAGER) {
     const spinner = ora(`Installing ${packageName}@${version}...`).start();
     
     try {
         const packageSpec = version === 'latest' ? packageName : `${packageName}@${version}`;
-        await execa('npm', ['install', '-g', packageSpec], { stdio: 'inherit' });
+        const { command, args } = getGlobalInstallCommand(packageSpec, packageManager);
+        await execa(command, args, { stdio: 'inherit' });
         
         spinner.succeed(`${packageName} installed successfully`);
         return true;
@@ -164,101 +167,112 @@ export async function installGlobalPackage(packageName, version = 'latest') {
 }
 
 /**
- * Install npm packages in project
+ * Run an install command, retrying without strict peer dependencies when the
+ * package manager supports it
  */
-export async function installPackages(packages, projectPath, dev = false) {
-    const spinner = ora(`Installing ${packages.length} package(s)...`).start();
+async function runInstallCommand(packages, projectPath, dev, packageManager, labels) {
+    const spinner = ora(labels.progress).start();
     
     try {
-        const args = ['install'];
-        if (dev) args.push('--save-dev');
-        args.push(...packages);
+        const { command, args } = getInstallCommand(packages, dev, false, packageManager);
         
-        await execa('npm', args, { 
+        await execa(command, args, { 
             cwd: projectPath
         });
         
-        spinner.succeed('Packages installed successfully');
+        spinner.succeed(labels.success);
         return true;
     } catch (error) {
-        spinner.warn('Failed with strict dependencies, retrying with --legacy-peer-deps...');
-        
-        // Retry with --legacy-peer-deps flag
-        try {
-            const args = ['install', '--legacy-peer-deps'];
-            if (dev) args.push('--save-dev');
-            args.push(...packages);
-            
-            await execa('npm', args, { 
-                cwd: projectPath
-            });
+        let failure = error;
+
+        if (supportsLegacyPeerDeps(packageManager)) {
+            spinner.warn('Failed with strict dependencies, retrying with --legacy-peer-deps...');
             
-            spinner.succeed('Packages installed successfully with --legacy-peer-deps');
-            console.log(chalk.yellow('⚠️  Note: Installed with --legacy-peer-deps flag due to peer dependency conflicts'));
-            return true;
-        } catch (retryError) {
-            spinner.fail('Failed to install packages');
-            console.error(chalk.red(retryError.message));
-            console.log(chalk.yellow('\n💡 Tip: You can try installing manually with:'));
-            console.log(chalk.cyan(`   cd ${projectPath}`));
-            console.log(chalk.cyan(`   npm install ${packages.join(' ')} --force`));
-            return false;
+            // Retry with --legacy-peer-deps semantics
+            try {
+                const { command, args } = getInstallCommand(packages, dev, true, packageManager);
+                
+                await execa(command, args, { 
+                    cwd: projectPath
+                });
+                
+                spinner.succeed(`${labels.success} with --legacy-peer-deps`);
+                console.log(chalk.yellow('⚠️  Note: Installed with --legacy-peer-deps flag due to peer dependency conflicts'));
+                return true;
+            } catch (retryError) {
+                failure = retryError;
+            }
         }
+
+        const { command, args } = getInstallCommand(packages, dev, false, packageManager);
+
+        spinner.fail(labels.failure);
+        console.error(chalk.red(failure.message));
+        console.log(chalk.yellow('\n💡 Tip: You can try installing manually with:'));
+        console.log(chalk.cyan(`   cd ${projectPath}`));
+        console.log(chalk.cyan(`   ${command} ${args.join(' ')}${packageManager.name === 'npm' ? ' --force' : ''}`));
+        return false;
     }
 }
 
 /**
- * Initialize npm project
+ * Install packages in project
  */
-export async function initNpmProject(projectPath) {
+export async function installPackages(packages, projectPath, dev = false, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    return runInstallCommand(packages, projectPath, dev, packageManager, {
+        progress: `Installing ${packages.length} package(s)...`,
+        success: 'Packages installed successfully',
+        failure: 'Failed to install packages'
+    });
+}
+
+/**
+ * Remove packages from project
+ */
+export async function uninstallPackages(packages, projectPath, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const spinner = ora(`Removing ${packages.length} package(s)...`).start();
+
     try {
-        await execa('npm', ['init', '-y'], { 
-            cwd: projectPath,
-            stdio: 'inherit'
-        });
+        const { command, args } = getUninstallCommand(packages, packageManager);
+        await execa(command, args, { cwd: projectPath });
+
+        spinner.succeed('Packages removed successfully');
         return true;
     } catch (error) {
-        console.error(chalk.red('Failed to initialize npm project'));
+        spinner.fail('Failed to remove packages');
+        console.error(chalk.red(error.message));
         return false;
     }
 }
 
 /**
- * Run npm install in project
+ * Initialize a package.json in project
  */
-export async function runNpmInstall(projectPath) {
-    const spinner = ora('Installing dependencies...').start();
-    
+export async function initNpmProject(projectPath, packageManager = DEFAULT_PACKAGE_MANAGER) {
     try {
-        await execa('npm', ['install'], { 
-            cwd: projectPath
+        const { command, args } = getInitCommand(packageManager);
+        await execa(command, args, { 
+            cwd: projectPath,
+            stdio: 'inherit'
         });
-        
-        spinner.succeed('Dependencies installed successfully');
         return true;
     } catch (error) {
-        spinner.warn('Failed with strict dependencies, retrying with --legacy-peer-deps...');
-        
-        // Retry with --legacy-peer-deps flag
-        try {
-            await execa('npm', ['install', '--legacy-peer-deps'], { 
-                cwd: projectPath
-            });
-            
-            spinner.succeed('Dependencies installed successfully with --legacy-peer-deps');
-            console.log(chalk.yellow('⚠️  Note: Installed with --legacy-peer-deps flag due to peer dependency conflicts'));
-            return true;
-        } catch (retryError) {
-            spinner.fail('Failed to install dependencies');
-            console.error(chalk.red(retryError.message));
-            console.log(chalk.yellow('\n💡 Tip: You can try installing manually with:'));
-            console.log(chalk.cyan(`   cd ${projectPath}`));
-            console.log(chalk.cyan(`   npm install --force`));
-            return false;
-        }
+        console.error(chalk.red(`Failed to initialize ${packageManager.name} project`));
+        return false;
     }
 }
 
+/**
+ * Install all dependencies of the project
+ */
+export async function runInstall(projectPath, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    return runInstallCommand([], projectPath, false, packageManager, {
+        progress: 'Installing dependencies...',
+        success: 'Dependencies installed successfully',
+        failure: 'Failed to install dependencies'
+    });
+}
+
 /**
  * Install Angular CLI globally
  */
@@ -266,25 +280,46 @@ export async function installAngularCli(version = 'latest') {
     return installGlobalPackage('@angular/cli', version);
 }
 
+/**
+ * Build the `ng new` command used to create an Angular project
+ */
+export function getCreateProjectCommand(projectName, angularVersion, options = {}, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const args = ['new', projectName];
+    
+    // Add options
+    if (options.skipInstall) args.push('--skip-install');
+    if (options.skipGit) args.push('--skip-git');
+    if (options.routing !== undefined) args.push(`--routing=${options.routing}`);
+    if (options.style) args.push(`--style=${options.style}`);
+    if (options.strict !== undefined) args.push(`--strict=${options.strict}`);
+    if (options.standalone !== undefined) args.push(`--standalone=${options.standalone}`);
+
+    // ng new chooses between Karma and Vitest from Angular 21
+    const version = angularVersion && semver.coerce(angularVersion);
+    if (options.testRunner && version && semver.gte(version, '21.0.0')) {
+        args.push(`--test-runner=${options.testRunner}`);
+    }
+
+    // Recorded in angular.json so `ng add` / `ng update` use the same package manager
+    const ngPackageManager = getNgNewPackageManager(packageManager, angularVersion);
+    if (ngPackageManager) args.push(`--package-manager=${ngPackageManager}`);
+    
+    const cliCommand = angularVersion ? `@angular/cli@${angularVersion}` : '@angular/cli';
+    
+    return getDlxCommand(cliCommand, args, packageManager);
+}
+
 /**
  * Create Angular project using CLI
  */
-export async function createAngularProject(projectName, angularVersion, options = {}) {
+export async function createAngularProject(projectName, angularVersion, options = {}, cwd = process.cwd(), packageManager = DEFAULT_PACKAGE_MANAGER) {
     const spinner = ora(`Creating Angular project: ${projectName}...`).start();
     
     try {
-        const args = ['new', projectName];
-        
-        // Add options
-        if (options.skipInstall) args.push('--skip-install');
-        if (options.routing !== undefined) args.push(`--routing=${options.routing}`);
-        if (options.style) args.push(`--style=${options.style}`);
-        if (options.strict !== undefined) args.push(`--strict=${options.strict}`);
-        if (options.standalone !== undefined) args.push(`--standalone=${options.standalone}`);
-        
-        const cliCommand = angularVersion ? `@angular/cli@${angularVersion}` : '@angular/cli';
+        const { command, args } = getCreateProjectCommand(projectName, angularVersion, options, packageManager);
         
-        await execa('npx', [cliCommand, ...args], { 
+        await execa(command, args, { 
+            cwd,
             stdio: 'inherit'
         });
         
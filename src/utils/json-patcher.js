@@ -0,0 +1,325 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { parse, parseTree, findNodeAtLocation, modify, format, applyEdits, printParseErrorCode } from 'jsonc-parser';
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two JSON values structurally
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Deep-merge a JSON value into another: objects are merged key by key, any
+ * other value (arrays included) replaces the existing one, and null removes it
+ */
+export function deepMerge(target, source) {
+    if (!isObject(target) || !isObject(source)) {
+        return structuredClone(source);
+    }
+
+    const result = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = deepMerge(target[key], value);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Decode a JSON Pointer ("/a/b~1c") into path segments
+ */
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (!pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON pointer "${pointer}"`);
+    }
+
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Apply RFC 6902 operations (add, remove, replace, move, copy, test) to a
+ * copy of a JSON document
+ */
+export function applyJsonPatch(document, operations) {
+    let result = structuredClone(document);
+
+    const getParent = (segments, pointer) => {
+        let parent = result;
+        for (const segment of segments.slice(0, -1)) {
+            parent = parent?.[segment];
+        }
+        if (parent === null || typeof parent !== 'object') {
+            throw new Error(`Path "${pointer}" does not exist`);
+        }
+        return parent;
+    };
+
+    const getValue = pointer => parsePointer(pointer).reduce((value, segment) => {
+        if (value === null || typeof value !== 'object' || !(segment in value)) {
+            throw new Error(`Path "${pointer}" does not exist`);
+        }
+        return value[segment];
+    }, result);
+
+    const remove = pointer => {
+        const segments = parsePointer(pointer);
+        const parent = getParent(segments, pointer);
+        const key = segments[segments.length - 1];
+
+        if (!(key in parent)) {
+            throw new Error(`Path "${pointer}" does not exist`);
+        }
+        const value = parent[key];
+        if (Array.isArray(parent)) {
+            parent.splice(Number(key), 1);
+        } else {
+            delete parent[key];
+        }
+        return value;
+    };
+
+    const add = (pointer, value) => {
+        const segments = parsePointer(pointer);
+        if (segments.length === 0) {
+            result = structuredClone(value);
+            return;
+        }
+
+        const parent = getParent(segments, pointer);
+        const key = segments[segments.length - 1];
+
+        if (Array.isArray(parent)) {
+            parent.splice(key === '-' ? parent.length : Number(key), 0, structuredClone(value));
+        } else {
+            parent[key] = structuredClone(value);
+        }
+    };
+
+    operations.forEach((operation, index) => {
+        const label = `operation ${index} (${operation.op} ${operation.path})`;
+
+        try {
+            switch (operation.op) {
+                case 'add':
+                    add(operation.path, operation.value);
+                    break;
+                case 'remove':
+                    remove(operation.path);
+                    break;
+                case 'replace':
+                    getValue(operation.path);
+                    remove(operation.path);
+                    add(operation.path, operation.value);
+                    break;
+                case 'move':
+                    add(operation.path, remove(operation.from));
+                    break;
+                case 'copy':
+                    add(operation.path, getValue(operation.from));
+                    break;
+                case 'test':
+                    if (!isEqual(getValue(operation.path), operation.value)) {
+                        throw new Error('test failed');
+                    }
+                    break;
+                default:
+                    throw new Error(`unknown op "${operation.op}"`);
+            }
+        } catch (error) {
+            throw new Error(`JSON patch ${label}: ${error.message}`);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * List the differences between two JSON values as { path, type, from, to }.
+ * Objects are compared key by key; arrays and other values are compared whole.
+ */
+export function diffJson(before, after, pathSegments = []) {
+    if (isObject(before) && isObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        return keys.flatMap(key => {
+            if (!(key in after)) {
+                return [{ path: [...pathSegments, key], type: 'remove', from: before[key] }];
+            }
+            if (!(key in before)) {
+                return [{ path: [...pathSegments, key], type: 'add', to: after[key] }];
+            }
+            return diffJson(before[key], after[key], [...pathSegments, key]);
+        });
+    }
+
+    return isEqual(before, after) ? [] : [{ path: pathSegments, type: 'change', from: before, to: after }];
+}
+
+/**
+ * Detect the indentation and line endings of a JSON document
+ */
+function getFormattingOptions(text) {
+    const indent = text.match(/^([ \t]+)\S/m)?.[1] || '  ';
+
+    return {
+        insertSpaces: !indent.startsWith('\t'),
+        tabSize: indent.startsWith('\t') ? 1 : indent.length,
+        eol: text.includes('\r\n') ? '\r\n' : '\n'
+    };
+}
+
+/**
+ * Parse a JSON-with-comments document, throwing on syntax errors
+ */
+export function parseJsonc(text, name = 'JSON') {
+    const errors = [];
+    const data = parse(text, errors, { allowTrailingComma: true });
+
+    if (errors.length > 0) {
+        const { error, offset } = errors[0];
+        throw new Error(`${name}: ${printParseErrorCode(error)} at offset ${offset}`);
+    }
+
+    return data;
+}
+
+/**
+ * Resolve a patch to the document it produces. A patch is a function
+ * (transform of a copy of the document), an array (JSON Patch operations) or
+ * an object (deep-merged into the document).
+ */
+function resolvePatch(data, patch) {
+    if (typeof patch === 'function') {
+        return patch(structuredClone(data));
+    }
+
+    if (Array.isArray(patch)) {
+        return applyJsonPatch(data, patch);
+    }
+
+    if (isObject(patch)) {
+        return deepMerge(data, patch);
+    }
+
+    throw new Error('A patch must be a function, a list of JSON Patch operations or an object to merge');
+}
+
+/**
+ * Apply a patch to the text of a JSON-with-comments document. Only the
+ * changed values are edited, so comments and formatting elsewhere are kept.
+ * Returns the new text and the list of changes.
+ */
+export function patchJsonText(text, patch, name = 'JSON') {
+    const before = parseJsonc(text, name);
+    const after = resolvePatch(before, patch);
+    const changes = diffJson(before, after);
+    const formattingOptions = getFormattingOptions(text);
+
+    // Only the inserted text is formatted; jsonc-parser's own formatting would
+    // also reflow the line before it (e.g. expand a one-line "lib" array)
+    const patched = changes.reduce((current, change) => {
+        // A removal takes the separator next to it along, and the formatting
+        // options tidy the whitespace left between its neighbours
+        if (change.type === 'remove') {
+            return applyEdits(current, modify(current, change.path, undefined, { formattingOptions }));
+        }
+
+        const [edit] = modify(current, change.path, change.to, {});
+
+        if (!edit) {
+            return current;
+        }
+
+        // A nested one-line object or array is reformatted whole when it changes
+        const parent = change.path.length > 1 && findNodeAtLocation(parseTree(current), change.path.slice(0, -1));
+        const range = parent && !/\n/.test(current.substr(parent.offset, parent.length))
+            ? { offset: parent.offset, length: parent.length + edit.content.length - edit.length }
+            : { offset: edit.offset, length: edit.content.length };
+
+        const edited = applyEdits(current, [edit]);
+        return applyEdits(edited, format(edited, range, formattingOptions));
+    }, text);
+
+    return { text: patched, changes };
+}
+
+/**
+ * Patch a JSON-with-comments file in the project. With `dryRun` the file is
+ * left untouched and only the changes are returned.
+ */
+export async function patchJsonFile(projectPath, file, patch, { dryRun = false } = {}) {
+    const filePath = path.join(projectPath, file);
+    const text = await fs.readFile(filePath, 'utf-8');
+    const result = patchJsonText(text, patch, file);
+
+    if (!dryRun && result.changes.length > 0) {
+        await fs.writeFile(filePath, result.text, 'utf-8');
+    }
+
+    return { file, ...result };
+}
+
+/**
+ * Format a JSON path for display
+ */
+function formatPath(segments) {
+    return segments.map(segment => (/^[\w$-]+$/.test(segment) ? segment : `"${segment}"`)).join('.') || '(root)';
+}
+
+/**
+ * Display the changes made to patched files
+ */
+export function displayPatchReport(results) {
+    results.forEach(({ file, changes }) => {
+        if (changes.length === 0) {
+            console.log(chalk.gray(`  ${file}: already up to date`));
+            return;
+        }
+
+        console.log(chalk.white(`  ${file}:`));
+        changes.forEach(change => {
+            const at = formatPath(change.path);
+            if (change.type === 'add') {
+                console.log(chalk.green(`    + ${at}: ${JSON.stringify(change.to)}`));
+            } else if (change.type === 'remove') {
+                console.log(chalk.red(`    - ${at}: ${JSON.stringify(change.from)}`));
+            } else {
+                console.log(chalk.yellow(`    ~ ${at}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`));
+            }
+        });
+    });
+}
+
+/**
+ * Apply a map of file → patch to a project and print the changes
+ */
+export async function patchProjectFiles(projectPath, patches) {
+    try {
+        const results = [];
+        for (const [file, patch] of Object.entries(patches)) {
+            results.push(await patchJsonFile(projectPath, file, patch));
+        }
+
+        displayPatchReport(results);
+        const total = results.reduce((sum, result) => sum + result.changes.length, 0);
+        console.log(chalk.green(`✓ Applied ${total} change(s) to ${results.length} file(s)`));
+        return true;
+    } catch (error) {
+        console.error(chalk.red('Failed to patch project files:'), error.message);
+        return false;
+    }
+}
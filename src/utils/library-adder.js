@@ -0,0 +1,185 @@
+import path from 'path';
+import semver from 'semver';
+import chalk from 'chalk';
+import { confirm } from '@inquirer/prompts';
+import { parseLibrarySpec } from './cli-options.js';
+import { findWorkspaceRoot, readWorkspace } from './workspace.js';
+import { solvePeerDependencies, displayPeerConflicts, getLockstepGroup } from './peer-solver.js';
+import { getPackagePeerDependencies } from './compatibility.js';
+import { fetchPackageDocument } from './registry.js';
+import { installPackages } from './installer.js';
+import { detectProjectPackageManager, resolvePackageManager, formatPackageManager, getInstallCommand } from './package-manager.js';
+import { runStepsInTransaction } from './transaction.js';
+
+/**
+ * Get the exact version behind a resolved install spec (e.g. "^19.2.1" → "19.2.1")
+ */
+function getSpecVersion(spec) {
+    return semver.valid(spec) || semver.minVersion(spec)?.version || spec;
+}
+
+/**
+ * Describe where a dependency's version was read from
+ */
+function getSourceLabel(dependency) {
+    return { node_modules: 'installed', lockfile: 'locked' }[dependency.source] || 'declared';
+}
+
+/**
+ * Get the installed packages a new library has to agree with: members of its
+ * lockstep family and packages any matching version lists as a peer. They are
+ * passed to the solver pinned at their installed versions.
+ */
+async function getInstalledContext(library, workspace) {
+    const peerNames = new Set();
+
+    try {
+        const packument = await fetchPackageDocument(library.name);
+        Object.entries(packument.versions || {})
+            .filter(([version]) => library.version === 'latest' || !semver.validRange(library.version) || semver.satisfies(version, library.version))
+            .forEach(([, data]) => Object.keys(data.peerDependencies || {}).forEach(name => peerNames.add(name)));
+    } catch {
+        // The solver reports packages it cannot fetch
+    }
+
+    const group = getLockstepGroup(library.name);
+
+    return Object.values(workspace.dependencies)
+        .filter(dependency => dependency.name !== library.name && dependency.version)
+        .filter(dependency => peerNames.has(dependency.name) || (group && getLockstepGroup(dependency.name) === group))
+        .filter(dependency => !dependency.name.startsWith('@angular/') || group)
+        .map(dependency => ({ name: dependency.name, version: dependency.version, ...(dependency.dev ? { isDev: true } : {}) }));
+}
+
+/**
+ * Print each peer range of the chosen versions and what satisfies it
+ */
+async function displayPeerReasoning(libraries, workspace) {
+    const added = new Map(libraries.map(lib => [lib.name, getSpecVersion(lib.version)]));
+
+    for (const lib of libraries) {
+        const version = getSpecVersion(lib.version);
+        const peers = await getPackagePeerDependencies(lib.name, version);
+
+        console.log(chalk.bold.white(`📦 ${lib.name}@${lib.version}`) + (lib.isDev ? chalk.gray(' (dev)') : ''));
+
+        if (Object.keys(peers).length === 0) {
+            console.log(chalk.gray('   No peer dependencies'));
+        }
+
+        Object.entries(peers).forEach(([peerName, range]) => {
+            const label = chalk.white(`   ${peerName} `) + chalk.cyan(range);
+            const addedVersion = added.get(peerName);
+            const installed = workspace.dependencies[peerName];
+
+            if (addedVersion) {
+                console.log(label + chalk.green(`  ✓ added at ${addedVersion}`));
+            } else if (installed?.version && semver.satisfies(installed.version, range, { includePrerelease: true })) {
+                console.log(label + chalk.green(`  ✓ ${getSourceLabel(installed)} ${installed.version}`));
+            } else if (installed?.version) {
+                console.log(label + chalk.red(`  ✗ ${getSourceLabel(installed)} ${installed.version}`));
+            } else {
+                console.log(label + chalk.yellow('  ! not installed'));
+            }
+        });
+
+        if (lib.reason) {
+            console.log(chalk.gray(`   └─ ${lib.reason}`));
+        }
+        console.log('');
+    }
+}
+
+/**
+ * Add a library to an existing Angular workspace (`ng-init add <pkg>[@range]`).
+ *
+ * The newest version compatible with the installed Angular version and with
+ * the related installed packages is chosen, the peer ranges behind the choice
+ * are shown, and the library is installed with the --legacy-peer-deps fallback.
+ */
+export async function addLibrary(spec, options = {}) {
+    try {
+        const interactive = Boolean(process.stdin.isTTY);
+        const startDir = path.resolve(options.project || process.cwd());
+        const projectPath = await findWorkspaceRoot(startDir);
+
+        if (!projectPath) {
+            console.log(chalk.red(`No Angular workspace found in ${startDir} or its parent directories (no package.json with @angular/core).`));
+            process.exit(1);
+        }
+
+        const workspace = await readWorkspace(projectPath);
+        const library = { ...parseLibrarySpec(spec), ...(options.dev ? { isDev: true } : {}) };
+        const existing = workspace.dependencies[library.name];
+
+        if (existing?.dev && !options.dev) {
+            library.isDev = true;
+        }
+
+        const packageManager = await resolvePackageManager(await detectProjectPackageManager(projectPath), projectPath);
+
+        console.log(chalk.bold.cyan('\n➕ Add Library\n'));
+        console.log(chalk.gray('━'.repeat(50)));
+        console.log(chalk.white('Project:          ') + chalk.cyan(projectPath));
+        console.log(chalk.white('Angular Version:  ') + chalk.green(workspace.angularVersion) +
+            (workspace.dependencies['@angular/core'].installed ? '' : chalk.gray(` (${getSourceLabel(workspace.dependencies['@angular/core'])}; node_modules not installed)`)));
+        console.log(chalk.white('Package Manager:  ') + chalk.cyan(formatPackageManager(packageManager)));
+        console.log(chalk.white('Library:          ') + chalk.cyan(spec));
+        console.log(chalk.gray('━'.repeat(50)) + '\n');
+
+        if (existing) {
+            console.log(chalk.yellow(`⚠️  ${library.name} is already a dependency (${existing.range}); it will be replaced.\n`));
+        }
+
+        console.log(chalk.bold.cyan('📦 Resolving a compatible version...\n'));
+
+        const installedContext = await getInstalledContext(library, workspace);
+        const solution = await solvePeerDependencies([library, ...installedContext], workspace.angularVersion);
+
+        if (!solution.satisfiable) {
+            displayPeerConflicts(solution);
+            process.exit(1);
+        }
+
+        // Installed packages were only context for the solver
+        const toInstall = solution.libraries.filter(lib => lib.name === library.name || !workspace.dependencies[lib.name]);
+        const resolved = toInstall.find(lib => lib.name === library.name);
+
+        if (resolved?.warning) {
+            console.log(chalk.yellow(`⚠️  ${resolved.reason}; installing ${library.name}@${resolved.version} unchecked.\n`));
+        }
+
+        await displayPeerReasoning(toInstall.filter(lib => !lib.warning), workspace);
+
+        const shouldInstall = options.yes || !interactive || await confirm({
+            message: `Install ${toInstall.map(lib => `${lib.name}@${lib.version}`).join(', ')}?`,
+            default: true
+        });
+
+        if (!shouldInstall) {
+            console.log(chalk.yellow('Installation cancelled.\n'));
+            return;
+        }
+
+        const steps = [false, true]
+            .map(dev => ({ dev, specs: toInstall.filter(lib => Boolean(lib.isDev) === dev).map(lib => `${lib.name}@${lib.version}`) }))
+            .filter(({ specs }) => specs.length > 0)
+            .map(({ dev, specs }) => ({
+                id: dev ? 'install-dev-libraries' : 'install-libraries',
+                title: `Install ${specs.join(', ')}`,
+                required: true,
+                actions: [{ type: 'command', ...getInstallCommand(specs, dev, false, packageManager), cwd: projectPath }],
+                run: () => installPackages(specs, projectPath, dev, packageManager)
+            }));
+
+        await runStepsInTransaction(steps, projectPath, {
+            interactive: interactive && !options.yes,
+            keepOnFailure: options.keepOnFailure
+        });
+
+        console.log(chalk.bold.green(`\n✅ Added ${toInstall.map(lib => lib.name).join(', ')}\n`));
+    } catch (err) {
+        console.error(chalk.red('\n❌ Error:'), err.message);
+        process.exit(1);
+    }
+}
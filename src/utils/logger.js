@@ -0,0 +1,16 @@
+// Where informational output goes; stderr when stdout carries machine-readable output
+let stream = 'stdout';
+
+/**
+ * Send informational output to stderr (e.g. while a JSON plan is written to stdout)
+ */
+export function setLogStream(name) {
+    stream = name === 'stderr' ? 'stderr' : 'stdout';
+}
+
+/**
+ * Print informational output (console.log, or console.error while it is redirected)
+ */
+export function log(...args) {
+    (stream === 'stderr' ? console.error : console.log)(...args);
+}
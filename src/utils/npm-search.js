@@ -1,8 +1,9 @@
-import axios from 'axios';
+import semver from 'semver';
 import debounce from 'lodash.debounce';
+import { execa } from 'execa';
+import { fetchPackageDocument, fetchRegistryEndpoint, isDefaultRegistry, cachedGet, isOfflineMode, recordStaleSource } from './registry.js';
+import { getFallbackNodeRequirement, getFallbackAngularMajors } from './compatibility.js';
 
-const NPM_REGISTRY_URL = 'https://registry.npmjs.org';
-const NPM_SEARCH_URL = 'https://registry.npmjs.org/-/v1/search';
 const NPM_DOWNLOADS_URL = 'https://api.npmjs.org/downloads/point/last-week';
 
 /**
@@ -10,15 +11,16 @@ const NPM_DOWNLOADS_URL = 'https://api.npmjs.org/downloads/point/last-week';
  */
 export async function searchNpmPackages(query, size = 10) {
     try {
-        const response = await axios.get(NPM_SEARCH_URL, {
+        // Searches for "@scope/..." go to the registry configured for that scope
+        const data = await fetchRegistryEndpoint('-/v1/search', {
             params: {
                 text: query,
                 size: size
             },
-            timeout: 5000
+            packageName: query.startsWith('@') ? query.split(/\s/)[0] : ''
         });
 
-        return response.data.objects.map(obj => ({
+        return data.objects.map(obj => ({
             name: obj.package.name,
             version: obj.package.version,
             description: obj.package.description || 'No description',
@@ -37,22 +39,20 @@ export async function searchNpmPackages(query, size = 10) {
  */
 export async function getPackageDetails(packageName) {
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/${packageName}`, {
-            timeout: 5000
-        });
+        const data = await fetchPackageDocument(packageName, null, { timeout: 5000 });
 
-        const latestVersion = response.data['dist-tags']?.latest;
-        const versions = Object.keys(response.data.versions || {});
+        const latestVersion = data['dist-tags']?.latest;
+        const versions = Object.keys(data.versions || {});
 
         return {
-            name: response.data.name,
-            description: response.data.description || 'No description',
+            name: data.name,
+            description: data.description || 'No description',
             latestVersion: latestVersion,
             versions: versions,
-            homepage: response.data.homepage,
-            repository: response.data.repository,
-            license: response.data.license,
-            keywords: response.data.keywords || []
+            homepage: data.homepage,
+            repository: data.repository,
+            license: data.license,
+            keywords: data.keywords || []
         };
     } catch (error) {
         if (error.response?.status === 404) {
@@ -66,12 +66,15 @@ export async function getPackageDetails(packageName) {
  * Get package download statistics
  */
 export async function getPackageDownloads(packageName) {
+    // Download counts only exist for packages served by the public registry
+    if (!isDefaultRegistry(packageName) || isOfflineMode()) {
+        return 0;
+    }
+
     try {
-        const response = await axios.get(`${NPM_DOWNLOADS_URL}/${packageName}`, {
-            timeout: 5000
-        });
+        const data = await cachedGet(`${NPM_DOWNLOADS_URL}/${packageName}`, 'downloads', { timeout: 5000 });
 
-        return response.data.downloads;
+        return data.downloads;
     } catch (error) {
         return 0;
     }
@@ -139,11 +142,9 @@ export const debouncedSearch = debounce(async (query, callback) => {
  */
 export async function getAngularVersions() {
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/@angular/cli`, {
-            timeout: 10000
-        });
+        const data = await fetchPackageDocument('@angular/cli');
 
-        const versions = Object.keys(response.data.versions || {})
+        const versions = Object.keys(data.versions || {})
             .filter(v => !v.includes('rc') && !v.includes('beta') && !v.includes('next'))
             .sort((a, b) => {
                 // Sort in descending order (newest first)
@@ -158,7 +159,7 @@ export async function getAngularVersions() {
                 return 0;
             });
 
-        const distTags = response.data['dist-tags'] || {};
+        const distTags = data['dist-tags'] || {};
         
         return {
             versions: versions,
@@ -166,11 +167,66 @@ export async function getAngularVersions() {
             lts: distTags.lts
         };
     } catch (error) {
+        if (isOfflineMode()) {
+            return getOfflineAngularVersions();
+        }
         console.error('Error fetching Angular versions:', error.message);
         return { versions: [], latest: null, lts: null };
     }
 }
 
+/**
+ * Get the versions of a package whose tarballs are in the local npm cache
+ */
+export async function getNpmCachedVersions(packageName) {
+    try {
+        const { stdout } = await execa('npm', ['cache', 'ls', packageName]);
+        const tarballName = packageName.split('/').pop();
+        const pattern = new RegExp(`/-/${tarballName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d+\\.\\d+\\.\\d+[^/]*)\\.tgz$`);
+
+        return stdout.split('\n')
+            .map(line => line.trim().match(pattern)?.[1])
+            .filter(version => version && semver.valid(version))
+            .sort(semver.rcompare);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Build the Angular version list without the registry: versions whose
+ * @angular/cli tarball is in the npm cache, else the fallback matrix majors
+ */
+async function getOfflineAngularVersions() {
+    const cachedVersions = (await getNpmCachedVersions('@angular/cli')).filter(v => !semver.prerelease(v));
+
+    if (cachedVersions.length > 0) {
+        recordStaleSource('Angular versions found in the local npm cache');
+        return { versions: cachedVersions, latest: cachedVersions[0], lts: null };
+    }
+
+    const fallbackVersions = getFallbackAngularMajors().map(major => `${major}.0.0`);
+    recordStaleSource('Angular versions (major releases only)');
+    return { versions: fallbackVersions, latest: fallbackVersions[0], lts: null };
+}
+
+/**
+ * Resolve an Angular version spec ("latest", "19", "^18.2.0" or an exact version)
+ * against the fetched version list. Returns null when nothing matches.
+ */
+export function resolveAngularVersion(spec, angularVersions) {
+    if (!spec || spec === 'latest') {
+        return angularVersions.latest || angularVersions.versions[0] || null;
+    }
+
+    if (angularVersions.versions.includes(spec)) {
+        return spec;
+    }
+
+    const range = semver.validRange(spec);
+    return range ? semver.maxSatisfying(angularVersions.versions, range) : null;
+}
+
 /**
  * Get unique major versions from all Angular versions
  */
@@ -234,11 +290,9 @@ export function getPatchVersionsForMinor(versions, majorMinor) {
  */
 export async function getPackageVersions(packageName) {
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/${packageName}`, {
-            timeout: 10000
-        });
+        const data = await fetchPackageDocument(packageName);
 
-        const versions = Object.keys(response.data.versions || {})
+        const versions = Object.keys(data.versions || {})
             .filter(v => !v.includes('rc') && !v.includes('beta') && !v.includes('next') && !v.includes('alpha'))
             .sort((a, b) => {
                 // Sort in descending order (newest first)
@@ -253,7 +307,7 @@ export async function getPackageVersions(packageName) {
                 return 0;
             });
 
-        const distTags = response.data['dist-tags'] || {};
+        const distTags = data['dist-tags'] || {};
         
         return {
             versions: versions,
@@ -271,25 +325,15 @@ export async function getPackageVersions(packageName) {
  */
 export async function getNodeRequirementsForAngular(angularVersion) {
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/@angular/cli/${angularVersion}`, {
-            timeout: 5000
-        });
+        const data = await fetchPackageDocument('@angular/cli', angularVersion, { timeout: 5000 });
 
-        const engines = response.data.engines || {};
+        const engines = data.engines || {};
         const nodeRequirement = engines.node || '^18.13.0 || ^20.9.0';
         
         return nodeRequirement;
     } catch (error) {
         // Default Node requirements if we can't fetch
-        const majorVersion = parseInt(angularVersion.split('.')[0]);
-        
-        if (majorVersion >= 19) return '^18.19.1 || ^20.11.1 || ^22.0.0';
-        if (majorVersion >= 17) return '^18.13.0 || ^20.9.0';
-        if (majorVersion >= 16) return '^16.14.0 || ^18.10.0';
-        if (majorVersion >= 15) return '^14.20.0 || ^16.13.0 || ^18.10.0';
-        if (majorVersion >= 14) return '^14.15.0 || ^16.10.0';
-        
-        return '^14.0.0 || ^16.0.0 || ^18.0.0';
+        return getFallbackNodeRequirement(angularVersion);
     }
 }
 
@@ -298,11 +342,9 @@ export async function getNodeRequirementsForAngular(angularVersion) {
  */
 export async function getPackagePeerDependencies(packageName, version) {
     try {
-        const response = await axios.get(`${NPM_REGISTRY_URL}/${packageName}/${version}`, {
-            timeout: 5000
-        });
+        const data = await fetchPackageDocument(packageName, version, { timeout: 5000 });
 
-        return response.data.peerDependencies || {};
+        return data.peerDependencies || {};
     } catch (error) {
         console.error(`Error fetching peer dependencies for ${packageName}@${version}:`, error.message);
         return {};
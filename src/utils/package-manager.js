@@ -0,0 +1,373 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execa } from 'execa';
+import semver from 'semver';
+import { getNetworkMode } from './registry.js';
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+export const LOCKFILES = {
+    npm: 'package-lock.json',
+    pnpm: 'pnpm-lock.yaml',
+    yarn: 'yarn.lock',
+    bun: 'bun.lockb'
+};
+
+export const DEFAULT_PACKAGE_MANAGER = { name: 'npm', version: null, berry: false };
+
+/**
+ * Get the nearest directory that exists, starting from dir. A project location
+ * usually does not exist yet, and commands cannot run in it.
+ */
+async function findExistingDirectory(dir) {
+    let current = path.resolve(dir);
+
+    while (true) {
+        try {
+            if ((await fs.stat(current)).isDirectory()) {
+                return current;
+            }
+        } catch {
+            // Missing; try the parent
+        }
+
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return process.cwd();
+        }
+        current = parent;
+    }
+}
+
+/**
+ * Get the installed version of a package manager, or null when it is not
+ * available. Runs in the nearest existing directory from cwd so a Corepack
+ * "packageManager" pin there still applies.
+ */
+export async function getPackageManagerVersion(name, cwd = process.cwd()) {
+    try {
+        const { stdout } = await execa(name, ['--version'], { cwd: await findExistingDirectory(cwd) });
+        return stdout.trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Describe a package manager; yarn 2+ (berry) behaves differently from yarn 1
+ */
+function describePackageManager(name, version) {
+    return {
+        name,
+        version,
+        berry: name === 'yarn' && Boolean(version) && semver.major(semver.coerce(version)) >= 2
+    };
+}
+
+/**
+ * Detect the package managers installed on this machine
+ */
+export async function detectPackageManagers(cwd = process.cwd()) {
+    const detected = [];
+
+    for (const name of PACKAGE_MANAGERS) {
+        const version = await getPackageManagerVersion(name, cwd);
+        if (version) {
+            detected.push(describePackageManager(name, version));
+        }
+    }
+
+    return detected;
+}
+
+/**
+ * Get the package manager that launched ng-init (e.g. `pnpm dlx ng-init`)
+ */
+function getLaunchingPackageManager() {
+    const userAgent = process.env.npm_config_user_agent || '';
+    const name = userAgent.split('/')[0];
+    return PACKAGE_MANAGERS.includes(name) ? name : null;
+}
+
+/**
+ * Pick the package manager to use when none was requested: the one that
+ * launched ng-init, else npm, else the first one installed
+ */
+export function getDefaultPackageManager(detected) {
+    const launching = getLaunchingPackageManager();
+
+    return detected.find(pm => pm.name === launching)
+        || detected.find(pm => pm.name === 'npm')
+        || detected[0]
+        || DEFAULT_PACKAGE_MANAGER;
+}
+
+/**
+ * Resolve a package manager by name (flag, profile or spec) or by detection.
+ * The returned descriptor has a null version when the manager is not installed.
+ */
+export async function resolvePackageManager(name, cwd = process.cwd()) {
+    if (name) {
+        if (!PACKAGE_MANAGERS.includes(name)) {
+            throw new Error(`Unknown package manager "${name}". Available package managers: ${PACKAGE_MANAGERS.join(', ')}`);
+        }
+        return describePackageManager(name, await getPackageManagerVersion(name, cwd));
+    }
+
+    return getDefaultPackageManager(await detectPackageManagers(cwd));
+}
+
+/**
+ * Detect the package manager an existing project uses: its lockfile, else the
+ * package.json "packageManager" field, else angular.json `cli.packageManager`
+ */
+export async function detectProjectPackageManager(projectPath) {
+    const lockfiles = [...Object.entries(LOCKFILES), ['bun', 'bun.lock']];
+
+    for (const [name, lockfile] of lockfiles) {
+        try {
+            await fs.access(path.join(projectPath, lockfile));
+            return name;
+        } catch {
+            // Try the next lockfile
+        }
+    }
+
+    for (const [file, read] of [
+        ['package.json', json => json.packageManager?.split('@')[0]],
+        ['angular.json', json => json.cli?.packageManager]
+    ]) {
+        try {
+            const name = read(JSON.parse(await fs.readFile(path.join(projectPath, file), 'utf-8')));
+            if (PACKAGE_MANAGERS.includes(name)) {
+                return name;
+            }
+        } catch {
+            // Missing or unreadable file
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Format a package manager for display (e.g. "yarn 4.1.0 (berry)")
+ */
+export function formatPackageManager(packageManager) {
+    const version = packageManager.version ? ` ${packageManager.version}` : '';
+    return `${packageManager.name}${version}${packageManager.berry ? ' (berry)' : ''}`;
+}
+
+/**
+ * Get the flags matching the network mode (--offline or --prefer-offline).
+ * yarn berry and bun have no equivalent flags.
+ */
+export function getNetworkFlags(packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const mode = getNetworkMode();
+
+    if (mode === 'online' || packageManager.berry || packageManager.name === 'bun') {
+        return [];
+    }
+
+    return [`--${mode}`];
+}
+
+/**
+ * Check whether the package manager fails on peer dependency conflicts and can
+ * be told not to. yarn and bun only warn, so there is nothing to relax.
+ */
+export function supportsLegacyPeerDeps(packageManager = DEFAULT_PACKAGE_MANAGER) {
+    return packageManager.name === 'npm' || packageManager.name === 'pnpm';
+}
+
+/**
+ * Build the command that installs packages, or all dependencies when none are given
+ */
+export function getInstallCommand(packages = [], dev = false, legacyPeerDeps = false, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const { name } = packageManager;
+    const args = [];
+
+    if (name === 'npm') {
+        args.push('install');
+        if (legacyPeerDeps) args.push('--legacy-peer-deps');
+        if (dev) args.push('--save-dev');
+    } else {
+        // pnpm, yarn and bun add packages with "add" and install the lockfile with "install"
+        args.push(packages.length > 0 ? 'add' : 'install');
+        if (dev && packages.length > 0) args.push(name === 'yarn' ? '--dev' : '-D');
+        if (legacyPeerDeps && name === 'pnpm') args.push('--config.strict-peer-dependencies=false');
+    }
+
+    args.push(...getNetworkFlags(packageManager));
+    args.push(...packages);
+
+    return { command: name, args };
+}
+
+/**
+ * Build the command that installs exactly what the lockfile records (CI, Docker)
+ */
+export function getFrozenInstallCommand(packageManager = DEFAULT_PACKAGE_MANAGER) {
+    switch (packageManager.name) {
+        case 'pnpm':
+            return { command: 'pnpm', args: ['install', '--frozen-lockfile'] };
+        case 'yarn':
+            return { command: 'yarn', args: ['install', packageManager.berry ? '--immutable' : '--frozen-lockfile'] };
+        case 'bun':
+            return { command: 'bun', args: ['install', '--frozen-lockfile'] };
+        default:
+            return { command: 'npm', args: ['ci'] };
+    }
+}
+
+/**
+ * Build the commands that make the package manager available on a machine that
+ * only has Node.js (CI, Docker): corepack for pnpm and yarn berry, a global
+ * install for bun. npm and yarn 1 need none.
+ */
+export function getSetupCommands(packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const { name, version } = packageManager;
+
+    if (name === 'pnpm' || packageManager.berry) {
+        return [
+            { command: 'corepack', args: ['enable'] },
+            ...(version ? [{ command: 'corepack', args: ['prepare', `${name}@${version}`, '--activate'] }] : [])
+        ];
+    }
+    if (name === 'bun') {
+        return [getGlobalInstallCommand(version ? `bun@${version}` : 'bun')];
+    }
+
+    return [];
+}
+
+/**
+ * Get how to point the package manager's download cache at a folder, so CI can
+ * cache it: environment variables, plus a command for pnpm's store
+ */
+export function getCacheSettings(folder, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    switch (packageManager.name) {
+        case 'pnpm':
+            return { env: {}, command: { command: 'pnpm', args: ['config', 'set', 'store-dir', folder] } };
+        case 'yarn':
+            // yarn 4 keeps its cache in a global folder unless told otherwise
+            return { env: packageManager.berry ? { YARN_CACHE_FOLDER: folder, YARN_ENABLE_GLOBAL_CACHE: 'false' } : { YARN_CACHE_FOLDER: folder }, command: null };
+        case 'bun':
+            return { env: { BUN_INSTALL_CACHE_DIR: folder }, command: null };
+        default:
+            return { env: { npm_config_cache: folder }, command: null };
+    }
+}
+
+/**
+ * Build the command that removes packages from the project
+ */
+export function getUninstallCommand(packages, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    const { name } = packageManager;
+
+    return {
+        command: name,
+        args: [name === 'npm' ? 'uninstall' : 'remove', ...getNetworkFlags(packageManager), ...packages]
+    };
+}
+
+/**
+ * Build the command that downloads and runs a package binary (npx, pnpm dlx, yarn dlx, bunx).
+ * yarn 1 has no dlx, so npx is used instead.
+ */
+export function getDlxCommand(packageSpec, args = [], packageManager = DEFAULT_PACKAGE_MANAGER) {
+    switch (packageManager.name) {
+        case 'pnpm':
+            return { command: 'pnpm', args: [...getNetworkFlags(packageManager), 'dlx', packageSpec, ...args] };
+        case 'yarn':
+            return packageManager.berry
+                ? { command: 'yarn', args: ['dlx', packageSpec, ...args] }
+                : { command: 'npx', args: [...getNetworkFlags(), packageSpec, ...args] };
+        case 'bun':
+            return { command: 'bunx', args: [packageSpec, ...args] };
+        default:
+            return { command: 'npx', args: [...getNetworkFlags(packageManager), packageSpec, ...args] };
+    }
+}
+
+/**
+ * Build the command that runs a binary installed in the project
+ */
+export function getExecCommand(binary, args = [], packageManager = DEFAULT_PACKAGE_MANAGER) {
+    switch (packageManager.name) {
+        case 'pnpm':
+            return { command: 'pnpm', args: ['exec', binary, ...args] };
+        case 'yarn':
+            return { command: 'yarn', args: [binary, ...args] };
+        case 'bun':
+            return { command: 'bunx', args: [binary, ...args] };
+        default:
+            return { command: 'npx', args: [binary, ...args] };
+    }
+}
+
+/**
+ * Build the command that runs a package.json script
+ */
+export function getRunCommand(script, args = [], packageManager = DEFAULT_PACKAGE_MANAGER) {
+    // npm needs "--" to pass arguments through to the script
+    const extra = args.length > 0 && packageManager.name === 'npm' ? ['--', ...args] : args;
+    return { command: packageManager.name, args: ['run', script, ...extra] };
+}
+
+/**
+ * Build the command that creates a package.json
+ */
+export function getInitCommand(packageManager = DEFAULT_PACKAGE_MANAGER) {
+    // yarn berry's init does not accept -y
+    return packageManager.berry
+        ? { command: 'yarn', args: ['init'] }
+        : { command: packageManager.name, args: ['init', '-y'] };
+}
+
+/**
+ * Build the command that installs a package globally.
+ * yarn berry has no global packages, so npm is used instead.
+ */
+export function getGlobalInstallCommand(packageSpec, packageManager = DEFAULT_PACKAGE_MANAGER) {
+    switch (packageManager.name) {
+        case 'pnpm':
+            return { command: 'pnpm', args: ['add', '-g', packageSpec] };
+        case 'yarn':
+            return packageManager.berry
+                ? { command: 'npm', args: ['install', '-g', packageSpec] }
+                : { command: 'yarn', args: ['global', 'add', packageSpec] };
+        case 'bun':
+            return { command: 'bun', args: ['add', '-g', packageSpec] };
+        default:
+            return { command: 'npm', args: ['install', '-g', packageSpec] };
+    }
+}
+
+/**
+ * Get the value for `ng new --package-manager`, or null when the Angular
+ * version does not know the package manager (bun is supported from 17.2)
+ */
+export function getNgNewPackageManager(packageManager, angularVersion) {
+    if (packageManager.name === 'bun' && angularVersion && semver.lt(semver.coerce(angularVersion), '17.2.0')) {
+        return null;
+    }
+
+    return packageManager.name;
+}
+
+/**
+ * Files yarn berry needs in a new project: an empty lockfile so it is not
+ * treated as part of an enclosing yarn project, and the node_modules linker
+ * because the Angular CLI does not support Plug'n'Play
+ */
+export function getPackageManagerFiles(packageManager) {
+    if (!packageManager.berry) {
+        return {};
+    }
+
+    return {
+        '.yarnrc.yml': 'nodeLinker: node-modules\n',
+        'yarn.lock': ''
+    };
+}
@@ -0,0 +1,694 @@
+import semver from 'semver';
+import chalk from 'chalk';
+import { fetchPackageDocument } from './registry.js';
+import { log } from './logger.js';
+
+// Released together with @angular/core and always installed at its version
+export const FRAMEWORK_PACKAGES = [
+    '@angular/core',
+    '@angular/common',
+    '@angular/compiler',
+    '@angular/compiler-cli',
+    '@angular/forms',
+    '@angular/router',
+    '@angular/platform-browser',
+    '@angular/platform-browser-dynamic',
+    '@angular/platform-server',
+    '@angular/animations',
+    '@angular/service-worker',
+    '@angular/elements',
+    '@angular/localize',
+    '@angular/upgrade',
+    '@angular/language-service'
+];
+
+// Packages every Angular project depends on, with the framework package that constrains them
+export const PLATFORM_PACKAGES = {
+    rxjs: { source: '@angular/core', label: 'RxJS', isDev: false },
+    'zone.js': { source: '@angular/core', label: 'zone.js', isDev: false },
+    typescript: { source: '@angular/compiler-cli', label: 'TypeScript', isDev: true }
+};
+
+/**
+ * Package families that are released in lockstep and must share one exact version
+ */
+export const LOCKSTEP_GROUPS = [
+    {
+        name: 'Angular Components',
+        packages: [
+            '@angular/cdk',
+            '@angular/material',
+            '@angular/material-moment-adapter',
+            '@angular/material-luxon-adapter',
+            '@angular/material-date-fns-adapter',
+            '@angular/google-maps',
+            '@angular/youtube-player',
+            '@angular/cdk-experimental',
+            '@angular/material-experimental'
+        ]
+    },
+    { name: 'NgRx', prefix: '@ngrx/' },
+    { name: 'angular-eslint', prefix: '@angular-eslint/' }
+];
+
+// Newest compatible versions searched per library, and the backtracking budget
+const MAX_CANDIDATES = 40;
+const MAX_SEARCH_STEPS = 20000;
+
+/**
+ * Get the lockstep group a package belongs to, if any
+ */
+export function getLockstepGroup(packageName) {
+    return LOCKSTEP_GROUPS.find(group =>
+        group.prefix ? packageName.startsWith(group.prefix) : group.packages.includes(packageName)
+    ) || null;
+}
+
+/**
+ * Check whether a version satisfies a range, treating invalid ranges as unsatisfied
+ */
+function satisfies(version, range) {
+    try {
+        return semver.satisfies(version, range, { includePrerelease: true });
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Fetch a packument, or null when it is not available
+ */
+async function loadPackument(packageName) {
+    try {
+        return await fetchPackageDocument(packageName);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the stable, non-deprecated versions of a package, newest first
+ */
+function getStableVersions(packument) {
+    return Object.entries(packument.versions || {})
+        .filter(([version, data]) => semver.valid(version) && !semver.prerelease(version) && !data.deprecated)
+        .map(([version]) => version)
+        .sort(semver.rcompare);
+}
+
+/**
+ * Check whether a requested version can be resolved against the registry
+ * (dist-tags and semver ranges; git URLs, file: paths and aliases cannot)
+ */
+function isRegistrySpec(requested) {
+    return requested === 'latest' || /^[a-z][\w.-]*$/i.test(requested) || semver.validRange(requested) !== null;
+}
+
+/**
+ * Get the candidate versions for a requested version: a dist-tag, or a semver range
+ */
+function getCandidateVersions(packument, requested) {
+    const stable = getStableVersions(packument);
+
+    if (requested === 'latest') {
+        return stable;
+    }
+
+    const taggedVersion = packument['dist-tags']?.[requested];
+    if (taggedVersion) {
+        return [taggedVersion];
+    }
+
+    if (semver.valid(requested)) {
+        return packument.versions?.[requested] ? [requested] : [];
+    }
+
+    return stable.filter(version => satisfies(version, requested));
+}
+
+/**
+ * Format a peer requirement for messages (e.g. "@ngrx/store 19.2.1")
+ */
+function formatRequirement(packageName, range) {
+    return `${packageName} ${range}`;
+}
+
+/**
+ * Format the framework version for messages. The solver checks against the
+ * @angular/core release of the selected Angular version, which can differ from
+ * the CLI version in its patch number, so the package is named.
+ */
+function formatFrameworkVersion(context, packageName = '@angular/core') {
+    return formatRequirement(packageName, context.coreVersion);
+}
+
+/**
+ * Load the Angular framework context: the @angular/core version matching the
+ * selected Angular version and the RxJS / zone.js / TypeScript ranges it accepts
+ */
+async function loadAngularContext(angularVersion) {
+    const context = { angularVersion, coreVersion: angularVersion, platformRanges: {} };
+    const corePackument = await loadPackument('@angular/core');
+
+    if (corePackument && !corePackument.versions?.[angularVersion]) {
+        // The CLI and the framework share major.minor, but not always the patch version
+        const coreVersions = Object.keys(corePackument.versions || {});
+        const minorRange = `~${semver.major(angularVersion)}.${semver.minor(angularVersion)}.0`;
+        context.coreVersion = semver.maxSatisfying(coreVersions, minorRange) || angularVersion;
+    }
+
+    const sources = {
+        '@angular/core': corePackument?.versions?.[context.coreVersion],
+        '@angular/compiler-cli': (await loadPackument('@angular/compiler-cli'))?.versions?.[context.coreVersion]
+    };
+
+    Object.entries(PLATFORM_PACKAGES).forEach(([name, { source }]) => {
+        const range = sources[source]?.peerDependencies?.[name];
+        if (range) {
+            context.platformRanges[name] = range;
+        }
+    });
+
+    return context;
+}
+
+/**
+ * Solve the peer dependencies of a set of libraries jointly.
+ *
+ * Every registry library becomes a variable whose candidates are its newest
+ * versions matching the requested range. Lockstep families (Angular
+ * Components, NgRx, angular-eslint) share one variable, so their members get
+ * the same version, and family members required as peers are added. A
+ * backtracking search then picks the newest assignment where:
+ *  - every peer on an Angular framework package accepts the selected Angular version
+ *  - every peer on another selected library accepts that library's version
+ *  - RxJS, zone.js and TypeScript have a version that satisfies Angular and all libraries
+ *
+ * With `preferOldest` the oldest versions are tried first instead (e.g. the
+ * smallest upgrade that supports a new Angular version).
+ *
+ * Returns { satisfiable, libraries, conflicts, context }. `libraries` has the
+ * same shape as resolveLibraryVersionsAsync results, plus the exact
+ * `resolvedVersion`; `conflicts` explains why no assignment exists.
+ */
+export async function solvePeerDependencies(libraries, angularVersion, { preferOldest = false } = {}) {
+    const context = await loadAngularContext(angularVersion);
+    const variables = new Map();
+    const passthrough = [];
+
+    for (const lib of libraries) {
+        const requested = lib.version || 'latest';
+
+        if (isRegistrySpec(requested)) {
+            variables.set(lib.name, { name: lib.name, lib, requested });
+        } else {
+            passthrough.push({ ...lib, adjusted: false, reason: 'Not resolved from the registry' });
+        }
+    }
+
+    await loadVariables(variables, passthrough);
+    await addLockstepPeers(variables);
+
+    const platform = await loadPlatformVersions(variables, context);
+    const units = buildUnits(variables, context, platform, preferOldest);
+    const emptyUnit = units.find(unit => unit.candidates.length === 0);
+
+    if (emptyUnit) {
+        return {
+            satisfiable: false,
+            libraries: [],
+            conflicts: [explainEmptyUnit(emptyUnit, context)],
+            context
+        };
+    }
+
+    const search = { steps: 0 };
+    const assignment = searchAssignment(units, 0, {}, variables, context, platform, search);
+
+    if (!assignment) {
+        return {
+            satisfiable: false,
+            libraries: [],
+            conflicts: explainConflicts(units, variables, context, platform, search),
+            context
+        };
+    }
+
+    return {
+        satisfiable: true,
+        libraries: [
+            ...buildResolvedLibraries(variables, assignment, context),
+            ...pinPlatformPackages(variables, assignment, context, platform),
+            ...passthrough
+        ],
+        conflicts: [],
+        context
+    };
+}
+
+/**
+ * Load the packument of every variable; packages that cannot be fetched are
+ * moved to the passthrough list unresolved
+ */
+async function loadVariables(variables, passthrough) {
+    const names = [...variables.keys()];
+    const packuments = await Promise.all(names.map(loadPackument));
+
+    names.forEach((name, index) => {
+        const variable = variables.get(name);
+
+        if (!packuments[index]) {
+            passthrough.push({
+                ...variable.lib,
+                version: variable.requested,
+                adjusted: false,
+                reason: 'Could not fetch package data',
+                warning: true
+            });
+            variables.delete(name);
+            return;
+        }
+
+        variable.packument = packuments[index];
+        variable.group = getLockstepGroup(name);
+    });
+}
+
+/**
+ * Add lockstep family members that selected libraries require as peers
+ * (e.g. @angular/cdk for @angular/material)
+ */
+async function addLockstepPeers(variables) {
+    const queue = [...variables.values()];
+
+    while (queue.length > 0) {
+        const variable = queue.shift();
+        if (!variable.group) continue;
+
+        const newest = getCandidateVersions(variable.packument, variable.requested)[0];
+        const peers = variable.packument.versions?.[newest]?.peerDependencies || {};
+
+        for (const peerName of Object.keys(peers)) {
+            if (variables.has(peerName) || getLockstepGroup(peerName) !== variable.group) continue;
+
+            const packument = await loadPackument(peerName);
+            if (!packument) continue;
+
+            const peer = {
+                name: peerName,
+                lib: { name: peerName, version: 'latest', ...(variable.lib.isDev ? { isDev: true } : {}) },
+                requested: 'latest',
+                packument,
+                group: variable.group,
+                addedFor: variable.name
+            };
+
+            variables.set(peerName, peer);
+            queue.push(peer);
+        }
+    }
+}
+
+/**
+ * Load the versions of RxJS, zone.js and TypeScript that Angular accepts,
+ * for the platform packages that selected libraries have peers on
+ */
+async function loadPlatformVersions(variables, context) {
+    const platform = {};
+
+    for (const name of Object.keys(PLATFORM_PACKAGES)) {
+        const needed = [...variables.values()].some(variable =>
+            Object.values(variable.packument.versions || {}).some(data => data.peerDependencies?.[name])
+        );
+
+        if (!needed || variables.has(name)) continue;
+
+        const packument = await loadPackument(name);
+        if (!packument) continue;
+
+        const angularRange = context.platformRanges[name];
+        platform[name] = getStableVersions(packument).filter(version => !angularRange || satisfies(version, angularRange));
+    }
+
+    return platform;
+}
+
+/**
+ * Check a candidate against constraints that do not depend on other libraries:
+ * the Angular framework version and the versions of RxJS, zone.js and TypeScript
+ * Angular accepts. Returns null when it passes, otherwise the reason.
+ */
+function checkFixedConstraints(variable, version, context, platform) {
+    const peers = variable.packument.versions?.[version]?.peerDependencies || {};
+    const angularRange = context.platformRanges[variable.name];
+
+    // RxJS, zone.js or TypeScript selected explicitly still have to suit Angular
+    if (angularRange && !satisfies(version, angularRange)) {
+        return `${formatFrameworkVersion(context, PLATFORM_PACKAGES[variable.name].source)} requires ${formatRequirement(variable.name, angularRange)}`;
+    }
+
+    for (const [peerName, range] of Object.entries(peers)) {
+        if (FRAMEWORK_PACKAGES.includes(peerName) && !satisfies(context.coreVersion, range)) {
+            return `${variable.name}@${version} requires ${formatRequirement(peerName, range)}, but ${formatFrameworkVersion(context)} is selected`;
+        }
+
+        if (platform[peerName] && !platform[peerName].some(candidate => satisfies(candidate, range))) {
+            return `${variable.name}@${version} requires ${formatRequirement(peerName, range)}, but ${formatFrameworkVersion(context, PLATFORM_PACKAGES[peerName].source)} requires ${formatRequirement(peerName, context.platformRanges[peerName])}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Group variables into search units: one per lockstep family, one per other library.
+ * Candidates that fail fixed constraints are dropped, keeping the reason.
+ */
+function buildUnits(variables, context, platform, preferOldest = false) {
+    const units = [];
+    const byGroup = new Map();
+
+    for (const variable of variables.values()) {
+        variable.rejected = {};
+
+        // Framework packages follow @angular/core
+        const candidates = FRAMEWORK_PACKAGES.includes(variable.name)
+            ? (variable.packument.versions?.[context.coreVersion] ? [context.coreVersion] : [])
+            : getCandidateVersions(variable.packument, variable.requested);
+
+        variable.candidates = (preferOldest ? [...candidates].reverse() : candidates)
+            .filter(version => {
+                const reason = checkFixedConstraints(variable, version, context, platform);
+                if (reason) variable.rejected[version] = reason;
+                return !reason;
+            })
+            .slice(0, MAX_CANDIDATES);
+        variable.requestedCount = candidates.length;
+
+        if (variable.group) {
+            if (!byGroup.has(variable.group)) {
+                const unit = { group: variable.group, members: [] };
+                byGroup.set(variable.group, unit);
+                units.push(unit);
+            }
+            byGroup.get(variable.group).members.push(variable);
+        } else {
+            units.push({ group: null, members: [variable], candidates: variable.candidates });
+        }
+    }
+
+    // A family can only use versions every member has
+    for (const unit of byGroup.values()) {
+        unit.candidates = unit.members
+            .map(member => member.candidates)
+            .reduce((shared, candidates) => shared.filter(version => candidates.includes(version)));
+    }
+
+    return units;
+}
+
+/**
+ * Get the peer ranges on a platform package required by the assigned libraries
+ */
+function getPlatformRanges(peerName, assignment, variables) {
+    return Object.entries(assignment)
+        .map(([name, version]) => ({
+            name,
+            version,
+            range: variables.get(name).packument.versions?.[version]?.peerDependencies?.[peerName]
+        }))
+        .filter(requirement => requirement.range);
+}
+
+/**
+ * Check the constraints between an assignment and newly assigned libraries.
+ * Returns null when consistent, otherwise the reason.
+ */
+function checkAssignment(assignment, newNames, variables, platform) {
+    for (const [name, version] of Object.entries(assignment)) {
+        const peers = variables.get(name).packument.versions?.[version]?.peerDependencies || {};
+
+        for (const [peerName, range] of Object.entries(peers)) {
+            // Only pairs involving a newly assigned library need checking
+            if (!(peerName in assignment) || (!newNames.includes(name) && !newNames.includes(peerName))) continue;
+
+            if (!satisfies(assignment[peerName], range)) {
+                return `${name}@${version} requires ${formatRequirement(peerName, range)}, but ${peerName}@${assignment[peerName]} is selected`;
+            }
+        }
+    }
+
+    for (const peerName of Object.keys(platform)) {
+        const requirements = getPlatformRanges(peerName, assignment, variables);
+
+        if (requirements.length > 1 && !platform[peerName].some(version => requirements.every(({ range }) => satisfies(version, range)))) {
+            const required = requirements.map(({ name, version, range }) => `${name}@${version} requires ${range}`).join('; ');
+            return `no ${peerName} version satisfies all of: ${required}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Assign units in order, preferred candidates first, backtracking on conflicts
+ */
+function searchAssignment(units, index, assignment, variables, context, platform, search) {
+    if (index === units.length) {
+        return assignment;
+    }
+
+    const unit = units[index];
+    const memberNames = unit.members.map(member => member.name);
+
+    for (const version of unit.candidates) {
+        if (++search.steps > MAX_SEARCH_STEPS) {
+            search.exhausted = true;
+            return null;
+        }
+
+        const next = { ...assignment };
+        memberNames.forEach(name => { next[name] = version; });
+
+        if (checkAssignment(next, memberNames, variables, platform)) continue;
+
+        const solution = searchAssignment(units, index + 1, next, variables, context, platform, search);
+        if (solution || search.exhausted) return solution;
+    }
+
+    return null;
+}
+
+/**
+ * Describe a unit by its members (e.g. "@angular/material + @angular/cdk")
+ */
+function describeUnit(unit) {
+    return unit.members.map(member => member.requested === 'latest' ? member.name : `${member.name}@${member.requested}`).join(' + ');
+}
+
+/**
+ * Explain why a unit has no usable version
+ */
+function explainEmptyUnit(unit, context) {
+    const details = [];
+
+    for (const member of unit.members) {
+        if (member.requestedCount === 0) {
+            details.push(FRAMEWORK_PACKAGES.includes(member.name)
+                ? `${member.name} has no version ${context.coreVersion}`
+                : `no published version of ${member.name} matches "${member.requested}"`);
+            continue;
+        }
+
+        if (member.candidates.length === 0) {
+            // The newest rejections show what the package would need
+            Object.values(member.rejected).slice(0, 2).forEach(reason => details.push(reason));
+        }
+    }
+
+    if (details.length === 0 && unit.members.length > 1) {
+        unit.members.forEach(member => {
+            const span = member.candidates.length > 0
+                ? `${member.candidates[member.candidates.length - 1]} … ${member.candidates[0]}`
+                : 'none';
+            details.push(`${member.name} compatible versions: ${span}`);
+        });
+    }
+
+    const membersUsable = unit.members.every(member => member.candidates.length > 0);
+    let message = `${describeUnit(unit)} has no version compatible with ${formatFrameworkVersion(context)}`;
+
+    if (unit.group) {
+        message = membersUsable
+            ? `${unit.group.name} packages (${describeUnit(unit)}) must share one version, but no compatible version exists for all of them`
+            : `${unit.group.name} packages (${describeUnit(unit)}) must share one version, but none is compatible with ${formatFrameworkVersion(context)}`;
+    }
+
+    return { packages: unit.members.map(member => member.name), message, details };
+}
+
+/**
+ * Explain a failed search by finding pairs of units that cannot agree
+ */
+function explainConflicts(units, variables, context, platform, search) {
+    if (search.exhausted) {
+        return [{
+            packages: units.flatMap(unit => unit.members.map(member => member.name)),
+            message: `Gave up after checking ${MAX_SEARCH_STEPS} combinations`,
+            details: ['Pin exact versions for some libraries to narrow the search']
+        }];
+    }
+
+    const conflicts = [];
+
+    for (let i = 0; i < units.length; i++) {
+        for (let j = i + 1; j < units.length; j++) {
+            const conflict = explainPair(units[i], units[j], variables, platform);
+            if (conflict) conflicts.push(conflict);
+        }
+    }
+
+    if (conflicts.length > 0) {
+        return conflicts;
+    }
+
+    return [{
+        packages: units.flatMap(unit => unit.members.map(member => member.name)),
+        message: 'Every pair of libraries is compatible, but no combination satisfies all peer dependencies at once',
+        details: units.map(unit => `${describeUnit(unit)}: ${unit.candidates.length} compatible version(s)`)
+    }];
+}
+
+/**
+ * Check whether two units have any compatible pair of versions; if not,
+ * explain with the reason the newest pair fails
+ */
+function explainPair(first, second, variables, platform) {
+    let newestReason = null;
+
+    for (const firstVersion of first.candidates) {
+        for (const secondVersion of second.candidates) {
+            const assignment = {};
+            first.members.forEach(member => { assignment[member.name] = firstVersion; });
+            second.members.forEach(member => { assignment[member.name] = secondVersion; });
+
+            const reason = checkAssignment(assignment, Object.keys(assignment), variables, platform);
+            if (!reason) return null;
+            newestReason = newestReason || reason;
+        }
+    }
+
+    const span = unit => unit.candidates.length > 1
+        ? `${unit.candidates[unit.candidates.length - 1]} … ${unit.candidates[0]}`
+        : unit.candidates[0];
+
+    return {
+        packages: [...first.members, ...second.members].map(member => member.name),
+        message: `${describeUnit(first)} and ${describeUnit(second)} cannot be installed together`,
+        details: [
+            newestReason,
+            `checked ${describeUnit(first)} ${span(first)} against ${describeUnit(second)} ${span(second)}`
+        ]
+    };
+}
+
+/**
+ * Format the install spec for a solved version. Lockstep families and versions
+ * narrower than their caret range are pinned exactly.
+ */
+function formatVersionSpec(variable, version, context) {
+    if (FRAMEWORK_PACKAGES.includes(variable.name)) {
+        return `^${context.coreVersion}`;
+    }
+
+    if (variable.group) {
+        return version;
+    }
+
+    const stable = getStableVersions(variable.packument);
+    return semver.maxSatisfying(stable, `^${version}`) === version ? `^${version}` : version;
+}
+
+/**
+ * Convert the solved assignment into resolved library entries (input order,
+ * then lockstep peers that were added)
+ */
+function buildResolvedLibraries(variables, assignment, context) {
+    return [...variables.values()].map(variable => {
+        const version = assignment[variable.name];
+        const { requested } = variable;
+        const peers = variable.packument.versions?.[version]?.peerDependencies || {};
+        const angularPeer = peers['@angular/core'] || peers['@angular/common'];
+
+        // A requested range is kept when the solver picked its newest version
+        const keepRequested = requested !== 'latest' && semver.validRange(requested) !== null &&
+            !variable.group && !FRAMEWORK_PACKAGES.includes(variable.name) &&
+            semver.maxSatisfying(getStableVersions(variable.packument), requested) === version;
+        const spec = keepRequested ? requested : formatVersionSpec(variable, version, context);
+
+        const reasons = [angularPeer ? `Requires @angular/core ${angularPeer}` : 'No Angular peer dependency'];
+        if (variable.group) {
+            reasons.push(`${variable.group.name} packages share version ${version}`);
+        }
+        if (variable.addedFor) {
+            reasons.push(`added as a peer dependency of ${variable.addedFor}`);
+        }
+
+        return {
+            ...variable.lib,
+            version: spec,
+            resolvedVersion: version,
+            originalVersion: variable.addedFor ? 'peer' : requested,
+            adjusted: spec !== requested,
+            source: 'solver',
+            reason: reasons.join('; '),
+            warning: false
+        };
+    });
+}
+
+/**
+ * Pin RxJS, zone.js or TypeScript when the libraries need an older version
+ * than the newest one Angular accepts
+ */
+function pinPlatformPackages(variables, assignment, context, platform) {
+    return Object.keys(platform)
+        .map(name => {
+            const requirements = getPlatformRanges(name, assignment, variables);
+            const version = platform[name].find(candidate => requirements.every(({ range }) => satisfies(candidate, range)));
+
+            if (!version || version === platform[name][0]) {
+                return null;
+            }
+
+            const narrowest = requirements.find(({ range }) => !satisfies(platform[name][0], range));
+
+            return {
+                name,
+                version: `~${version}`,
+                ...(PLATFORM_PACKAGES[name].isDev ? { isDev: true } : {}),
+                originalVersion: 'peer',
+                adjusted: true,
+                source: 'solver',
+                reason: `${PLATFORM_PACKAGES[name].label} pinned because ${narrowest.name}@${narrowest.version} requires ${narrowest.range}`,
+                warning: false
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Print why no consistent set of library versions exists
+ */
+export function displayPeerConflicts(solution) {
+    log(chalk.red(`❌ No set of library versions is consistent with ${formatFrameworkVersion(solution.context)}:\n`));
+
+    solution.conflicts.forEach(conflict => {
+        log(chalk.red(`   • ${conflict.message}`));
+        conflict.details.filter(Boolean).forEach(detail => {
+            log(chalk.gray(`     └─ ${detail}`));
+        });
+    });
+
+    log(chalk.yellow('\n💡 Choose another Angular version, or change or remove the versions of the libraries listed above.\n'));
+}
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { homedir } from 'os';
 import chalk from 'chalk';
+import { log } from './logger.js';
 
 const PROFILES_DIR = path.join(homedir(), '.ng-init');
 const PROFILES_FILE = path.join(PROFILES_DIR, 'profiles.json');
@@ -183,37 +184,57 @@ export async function importProfile(filePath) {
  * Display profile information
  */
 export function displayProfileInfo(name, profile) {
-    console.log(chalk.bold.cyan(`\n📋 Profile: ${name}\n`));
-    console.log(chalk.gray('━'.repeat(50)));
+    log(chalk.bold.cyan(`\n📋 Profile: ${name}\n`));
+    log(chalk.gray('━'.repeat(50)));
     
     if (profile.angularVersion) {
-        console.log(chalk.white('Angular Version: ') + chalk.green(profile.angularVersion));
+        log(chalk.white('Angular Version: ') + chalk.green(profile.angularVersion));
     }
     
     if (profile.template) {
-        console.log(chalk.white('Template:        ') + chalk.cyan(profile.template));
+        log(chalk.white('Template:        ') + chalk.cyan(profile.template));
+    }
+    
+    if (profile.structure) {
+        log(chalk.white('Structure:       ') + chalk.cyan(profile.structure));
+    }
+    
+    if (profile.testRunner) {
+        log(chalk.white('Test Runner:     ') + chalk.cyan(profile.testRunner));
+    }
+    
+    if (profile.environments) {
+        log(chalk.white('Environments:    ') + chalk.cyan(Object.keys(profile.environments).join(', ')));
+    }
+    
+    if (profile.ci) {
+        log(chalk.white('CI Provider:     ') + chalk.cyan(profile.ci));
+    }
+    
+    if (profile.packageManager) {
+        log(chalk.white('Package Manager: ') + chalk.cyan(profile.packageManager));
     }
     
     if (profile.libraries && profile.libraries.length > 0) {
-        console.log(chalk.white('Libraries:       ') + chalk.cyan(profile.libraries.length));
+        log(chalk.white('Libraries:       ') + chalk.cyan(profile.libraries.length));
         profile.libraries.slice(0, 5).forEach(lib => {
-            console.log(chalk.gray(`  • ${lib.name}@${lib.version}`));
+            log(chalk.gray(`  • ${lib.name}@${lib.version}`));
         });
         if (profile.libraries.length > 5) {
-            console.log(chalk.gray(`  ... and ${profile.libraries.length - 5} more`));
+            log(chalk.gray(`  ... and ${profile.libraries.length - 5} more`));
         }
     }
     
     if (profile.options) {
-        console.log(chalk.white('Options:'));
+        log(chalk.white('Options:'));
         Object.entries(profile.options).forEach(([key, value]) => {
-            console.log(chalk.gray(`  • ${key}: ${value}`));
+            log(chalk.gray(`  • ${key}: ${value}`));
         });
     }
     
     if (profile.createdAt) {
-        console.log(chalk.white('Created:         ') + chalk.gray(new Date(profile.createdAt).toLocaleString()));
+        log(chalk.white('Created:         ') + chalk.gray(new Date(profile.createdAt).toLocaleString()));
     }
     
-    console.log(chalk.gray('━'.repeat(50)) + '\n');
+    log(chalk.gray('━'.repeat(50)) + '\n');
 }
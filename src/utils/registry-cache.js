@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+import chalk from 'chalk';
+
+const CACHE_DIR = path.join(homedir(), '.ng-init', 'cache');
+
+/**
+ * Time-to-live per kind of cached registry document. Entries older than their
+ * TTL are revalidated with the registry (ETag) before being used again.
+ */
+export const CACHE_TTL_MS = {
+    packument: 60 * 60 * 1000,              // 1 hour - new versions get published
+    version: 30 * 24 * 60 * 60 * 1000,      // 30 days - published versions are immutable
+    downloads: 24 * 60 * 60 * 1000          // 1 day - weekly download counts
+};
+
+// Entries older than this are pruned. Expired entries are kept until then:
+// offline mode reads them regardless of their TTL.
+export const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Documents already read during this run, so large packuments are parsed once
+const memoryCache = new Map();
+const MAX_MEMORY_ENTRIES = 100;
+
+/**
+ * Get the file that stores a cache entry
+ */
+function getEntryPath(kind, key) {
+    const hash = createHash('sha1').update(key).digest('hex');
+    return path.join(CACHE_DIR, kind, `${hash}.json`);
+}
+
+/**
+ * Check whether a cache entry is still within its TTL
+ */
+export function isEntryFresh(entry, kind) {
+    return Boolean(entry) && Date.now() - entry.fetchedAt < (CACHE_TTL_MS[kind] ?? 0);
+}
+
+/**
+ * Read a cache entry ({ url, etag, lastModified, fetchedAt, data }) or null
+ */
+export async function readCacheEntry(kind, key) {
+    const memoryKey = `${kind}:${key}`;
+
+    if (memoryCache.has(memoryKey)) {
+        return memoryCache.get(memoryKey);
+    }
+
+    try {
+        const entry = JSON.parse(await fs.readFile(getEntryPath(kind, key), 'utf-8'));
+        rememberEntry(memoryKey, entry);
+        return entry;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write a cache entry to disk (atomically) and to the in-memory cache
+ */
+export async function writeCacheEntry(kind, key, entry) {
+    rememberEntry(`${kind}:${key}`, entry);
+
+    try {
+        const entryPath = getEntryPath(kind, key);
+        const tempPath = `${entryPath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(entryPath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(entry), 'utf-8');
+        await fs.rename(tempPath, entryPath);
+        return true;
+    } catch {
+        // A cache that cannot be written only costs performance
+        return false;
+    }
+}
+
+/**
+ * Keep an entry in memory, evicting the oldest one when full
+ */
+function rememberEntry(memoryKey, entry) {
+    if (memoryCache.size >= MAX_MEMORY_ENTRIES && !memoryCache.has(memoryKey)) {
+        const oldestKey = memoryCache.keys().next().value;
+        memoryCache.delete(oldestKey);
+    }
+
+    memoryCache.set(memoryKey, entry);
+}
+
+/**
+ * List every cache entry file with its kind, size and age
+ */
+async function listCacheFiles() {
+    const files = [];
+
+    for (const kind of Object.keys(CACHE_TTL_MS)) {
+        const kindDir = path.join(CACHE_DIR, kind);
+        let names = [];
+
+        try {
+            names = await fs.readdir(kindDir);
+        } catch {
+            continue;
+        }
+
+        for (const name of names.filter(n => n.endsWith('.json'))) {
+            const filePath = path.join(kindDir, name);
+            try {
+                const stats = await fs.stat(filePath);
+                files.push({ kind, filePath, size: stats.size, mtime: stats.mtimeMs });
+            } catch {
+                // Removed concurrently
+            }
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Get cache statistics per kind
+ */
+export async function getCacheInfo() {
+    const files = await listCacheFiles();
+    const kinds = {};
+
+    for (const kind of Object.keys(CACHE_TTL_MS)) {
+        const kindFiles = files.filter(file => file.kind === kind);
+        kinds[kind] = {
+            entries: kindFiles.length,
+            size: kindFiles.reduce((total, file) => total + file.size, 0),
+            ttlMs: CACHE_TTL_MS[kind]
+        };
+    }
+
+    return {
+        directory: CACHE_DIR,
+        entries: files.length,
+        size: files.reduce((total, file) => total + file.size, 0),
+        kinds
+    };
+}
+
+/**
+ * Remove every cache entry
+ */
+export async function clearCache() {
+    const info = await getCacheInfo();
+    await fs.rm(CACHE_DIR, { recursive: true, force: true });
+    memoryCache.clear();
+    return { removed: info.entries, freed: info.size };
+}
+
+/**
+ * Remove entries older than CACHE_MAX_AGE_MS and unreadable entries. Entries
+ * past their TTL are only revalidated, since offline mode still uses them.
+ */
+export async function pruneCache() {
+    const files = await listCacheFiles();
+    let removed = 0;
+    let freed = 0;
+
+    for (const file of files) {
+        let outdated = true;
+
+        try {
+            const entry = JSON.parse(await fs.readFile(file.filePath, 'utf-8'));
+            outdated = !(Date.now() - entry.fetchedAt < CACHE_MAX_AGE_MS);
+        } catch {
+            // Corrupt entries are pruned as well
+        }
+
+        if (outdated) {
+            await fs.rm(file.filePath, { force: true });
+            removed++;
+            freed += file.size;
+        }
+    }
+
+    memoryCache.clear();
+    return { removed, freed };
+}
+
+/**
+ * Format a byte count for display
+ */
+export function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    } else if (bytes >= 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${bytes} B`;
+}
+
+/**
+ * Format a duration in milliseconds for display
+ */
+function formatDuration(ms) {
+    const hours = ms / (60 * 60 * 1000);
+    return hours >= 24 ? `${Math.round(hours / 24)}d` : `${Math.round(hours)}h`;
+}
+
+/**
+ * Display cache statistics
+ */
+export function displayCacheInfo(info) {
+    console.log(chalk.bold.cyan('\n🗄️  Registry Cache\n'));
+    console.log(chalk.gray('━'.repeat(50)));
+    console.log(chalk.white('Location:   ') + chalk.cyan(info.directory));
+    console.log(chalk.white('Entries:    ') + chalk.green(info.entries));
+    console.log(chalk.white('Size:       ') + chalk.green(formatBytes(info.size)));
+    console.log('');
+
+    Object.entries(info.kinds).forEach(([kind, stats]) => {
+        console.log(
+            chalk.white(`  ${kind.padEnd(10)}`) +
+            chalk.cyan(`${String(stats.entries).padStart(5)} entries  `) +
+            chalk.cyan(formatBytes(stats.size).padStart(9)) +
+            chalk.gray(`  (TTL ${formatDuration(stats.ttlMs)})`)
+        );
+    });
+
+    console.log(chalk.gray('━'.repeat(50)) + '\n');
+}
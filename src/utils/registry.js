@@ -0,0 +1,411 @@
+import fs from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import axios from 'axios';
+import chalk from 'chalk';
+import { readCacheEntry, writeCacheEntry, isEntryFresh } from './registry-cache.js';
+import { log } from './logger.js';
+
+export const DEFAULT_REGISTRY_URL = 'https://registry.npmjs.org/';
+
+let registryOverride = null;
+let npmConfigCache = null;
+
+// 'online', 'offline' (--offline) or 'prefer-offline' (registry detected as unreachable)
+let networkMode = 'online';
+const staleSources = [];
+
+/**
+ * Ensure a registry URL ends with a single slash
+ */
+function normalizeRegistryUrl(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Expand ${VAR} references the same way npm does in .npmrc values
+ */
+function expandEnvVars(value) {
+    return value.replace(/(\\*)\$\{([^}]+)\}/g, (match, escapes, name) => {
+        if (escapes.length % 2) {
+            return match.slice((escapes.length + 1) / 2);
+        }
+        return escapes.slice(escapes.length / 2) + (process.env[name] ?? '');
+    });
+}
+
+/**
+ * Parse .npmrc (ini) content into a flat key/value object
+ */
+export function parseNpmrc(content) {
+    const config = {};
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+
+        if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('[')) {
+            return;
+        }
+
+        const separator = line.indexOf('=');
+        if (separator === -1) {
+            config[expandEnvVars(line)] = true;
+            return;
+        }
+
+        const key = expandEnvVars(line.slice(0, separator).trim());
+        let value = line.slice(separator + 1).trim();
+
+        if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
+        }
+
+        value = expandEnvVars(value);
+
+        if (value === 'true') config[key] = true;
+        else if (value === 'false') config[key] = false;
+        else config[key] = value;
+    });
+
+    return config;
+}
+
+/**
+ * Read and parse an .npmrc file, returning an empty object if it does not exist
+ */
+function readNpmrc(filePath) {
+    try {
+        return parseNpmrc(fs.readFileSync(filePath, 'utf-8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Find the project root npm would use for the project-level .npmrc
+ */
+function findProjectRoot(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        if (fs.existsSync(path.join(dir, 'package.json')) || fs.existsSync(path.join(dir, 'node_modules'))) {
+            return dir;
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return path.resolve(startDir);
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Collect npm_config_* environment variables as .npmrc keys
+ */
+function readEnvConfig() {
+    const config = {};
+
+    Object.entries(process.env).forEach(([name, value]) => {
+        if (!/^npm_config_/i.test(name) || value === undefined) return;
+
+        const key = name.slice('npm_config_'.length).toLowerCase().replace(/_/g, '-');
+        config[key] = value === 'true' ? true : value === 'false' ? false : value;
+    });
+
+    return config;
+}
+
+/**
+ * Load the effective npm configuration: user .npmrc, then project .npmrc,
+ * then npm_config_* environment variables, then the --registry override.
+ */
+export function loadNpmConfig(cwd = process.cwd()) {
+    if (npmConfigCache && npmConfigCache.cwd === cwd) {
+        return npmConfigCache.config;
+    }
+
+    const userConfigPath = process.env.NPM_CONFIG_USERCONFIG || process.env.npm_config_userconfig || path.join(homedir(), '.npmrc');
+    const projectConfigPath = path.join(findProjectRoot(cwd), '.npmrc');
+
+    const config = {
+        registry: DEFAULT_REGISTRY_URL,
+        ...readNpmrc(userConfigPath),
+        ...(projectConfigPath !== userConfigPath ? readNpmrc(projectConfigPath) : {}),
+        ...readEnvConfig()
+    };
+
+    if (registryOverride) {
+        config.registry = registryOverride;
+    }
+
+    npmConfigCache = { cwd, config };
+    return config;
+}
+
+/**
+ * Override the default registry (the --registry flag). Child npm processes
+ * inherit it through npm_config_registry so installs use the same registry.
+ */
+export function setRegistryOverride(url) {
+    registryOverride = normalizeRegistryUrl(url);
+    process.env.npm_config_registry = registryOverride;
+    npmConfigCache = null;
+}
+
+/**
+ * Get the registry URL for a package, honoring @scope:registry entries
+ */
+export function getRegistryUrl(packageName = '', config = loadNpmConfig()) {
+    if (packageName.startsWith('@')) {
+        const scope = packageName.split('/')[0];
+        const scopedRegistry = config[`${scope}:registry`];
+
+        if (scopedRegistry) {
+            return normalizeRegistryUrl(scopedRegistry);
+        }
+    }
+
+    return normalizeRegistryUrl(config.registry || DEFAULT_REGISTRY_URL);
+}
+
+/**
+ * Check whether a package resolves to the public npm registry
+ */
+export function isDefaultRegistry(packageName = '') {
+    return getRegistryUrl(packageName) === DEFAULT_REGISTRY_URL;
+}
+
+/**
+ * Convert a registry URL to npm's "nerf dart" form (//host/path/)
+ */
+function toNerfDart(url) {
+    const parsed = new URL(url);
+    return `//${parsed.host}${parsed.pathname.replace(/[^/]*$/, '')}`;
+}
+
+/**
+ * Build the Authorization header for a registry from .npmrc credentials.
+ *
+ * Credentials scoped to the registry (//host/path/:_authToken) are always
+ * used. Top-level _authToken/_auth values are only sent to the default
+ * registry, and only when always-auth is set.
+ */
+export function getAuthHeaders(registryUrl, config = loadNpmConfig()) {
+    let nerfDart = toNerfDart(registryUrl);
+
+    // npm also matches credentials configured for a parent path of the registry
+    while (nerfDart.length > 2) {
+        const token = config[`${nerfDart}:_authToken`];
+        if (token) {
+            return { Authorization: `Bearer ${token}` };
+        }
+
+        const basicAuth = config[`${nerfDart}:_auth`];
+        if (basicAuth) {
+            return { Authorization: `Basic ${basicAuth}` };
+        }
+
+        const username = config[`${nerfDart}:username`];
+        const password = config[`${nerfDart}:_password`];
+        if (username && password) {
+            const decoded = Buffer.from(password, 'base64').toString('utf-8');
+            return { Authorization: `Basic ${Buffer.from(`${username}:${decoded}`).toString('base64')}` };
+        }
+
+        const trimmed = nerfDart.replace(/[^/]*\/$/, '');
+        if (trimmed === nerfDart || trimmed === '//') break;
+        nerfDart = trimmed;
+    }
+
+    // Top-level credentials belong to the default registry; sending them to a
+    // scoped registry on another host would leak them
+    const targetsDefaultRegistry = toNerfDart(registryUrl) === toNerfDart(normalizeRegistryUrl(config.registry || DEFAULT_REGISTRY_URL));
+    const alwaysAuth = targetsDefaultRegistry && (config['always-auth'] === true || config[`${toNerfDart(registryUrl)}:always-auth`] === true);
+
+    if (alwaysAuth && config._authToken) {
+        return { Authorization: `Bearer ${config._authToken}` };
+    }
+
+    if (alwaysAuth && config._auth) {
+        return { Authorization: `Basic ${config._auth}` };
+    }
+
+    return {};
+}
+
+/**
+ * Encode a package name for registry URLs (@scope/name → @scope%2fname)
+ */
+export function encodePackageName(packageName) {
+    return packageName.replace('/', '%2f');
+}
+
+/**
+ * Build the registry URL of a packument or version document
+ */
+export function getPackageUrl(packageName, version) {
+    const base = `${getRegistryUrl(packageName)}${encodePackageName(packageName)}`;
+    return version ? `${base}/${encodeURIComponent(version)}` : base;
+}
+
+/**
+ * GET a URL through the on-disk registry cache.
+ *
+ * Fresh entries are returned without a request. Stale entries are revalidated
+ * with If-None-Match / If-Modified-Since, so an unchanged packument costs a
+ * 304 instead of a full download.
+ */
+export async function cachedGet(url, kind, { headers = {}, timeout = 10000, label = url } = {}) {
+    const entry = await readCacheEntry(kind, url);
+
+    if (isEntryFresh(entry, kind)) {
+        return entry.data;
+    }
+
+    if (isOfflineMode()) {
+        if (entry) {
+            recordStaleSource(label, entry.fetchedAt);
+            return entry.data;
+        }
+        throw new Error(`No cached data for ${label} (offline mode)`);
+    }
+
+    const conditionalHeaders = { ...headers };
+    if (entry?.etag) conditionalHeaders['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) conditionalHeaders['If-Modified-Since'] = entry.lastModified;
+
+    let response;
+
+    try {
+        response = await axios.get(url, {
+            timeout,
+            headers: conditionalHeaders,
+            validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(entry))
+        });
+    } catch (error) {
+        // Serve the expired entry rather than failing when the registry cannot be reached
+        if (entry && !error.response) {
+            recordStaleSource(label, entry.fetchedAt);
+            return entry.data;
+        }
+        throw error;
+    }
+
+    const data = response.status === 304 ? entry.data : response.data;
+
+    await writeCacheEntry(kind, url, {
+        url,
+        etag: response.headers.etag || entry?.etag || null,
+        lastModified: response.headers['last-modified'] || entry?.lastModified || null,
+        fetchedAt: Date.now(),
+        data
+    });
+
+    return data;
+}
+
+/**
+ * GET a package document (packument, or a single version when given)
+ * from the registry that serves the package, with .npmrc authentication
+ */
+export async function fetchPackageDocument(packageName, version, { timeout = 10000 } = {}) {
+    const registryUrl = getRegistryUrl(packageName);
+
+    return cachedGet(getPackageUrl(packageName, version), version ? 'version' : 'packument', {
+        timeout,
+        headers: getAuthHeaders(registryUrl),
+        label: version ? `${packageName}@${version} metadata` : `${packageName} version list`
+    });
+}
+
+/**
+ * GET an arbitrary registry endpoint (e.g. /-/v1/search). The registry is the
+ * default one unless a (possibly scoped) package name selects another.
+ */
+export async function fetchRegistryEndpoint(endpoint, { params, timeout = 5000, packageName = '' } = {}) {
+    if (isOfflineMode()) {
+        throw new Error('Registry search is not available in offline mode');
+    }
+
+    const registryUrl = getRegistryUrl(packageName);
+    const response = await axios.get(`${registryUrl}${endpoint.replace(/^\//, '')}`, {
+        params,
+        timeout,
+        headers: getAuthHeaders(registryUrl)
+    });
+
+    return response.data;
+}
+
+/**
+ * Switch between 'online', 'offline' and 'prefer-offline'. In both offline
+ * modes registry data is served from the cache only, whatever its age.
+ */
+export function setNetworkMode(mode) {
+    networkMode = mode;
+}
+
+/**
+ * Get the current network mode
+ */
+export function getNetworkMode() {
+    return networkMode;
+}
+
+/**
+ * Check whether registry requests are disabled
+ */
+export function isOfflineMode() {
+    return networkMode !== 'online';
+}
+
+/**
+ * Check whether the default registry answers at all (any HTTP status counts)
+ */
+export async function isRegistryReachable(timeout = 3000) {
+    const registryUrl = getRegistryUrl();
+
+    try {
+        await axios.get(`${registryUrl}-/ping`, {
+            timeout,
+            headers: getAuthHeaders(registryUrl),
+            validateStatus: () => true
+        });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Remember that some data came from an expired cache entry or a built-in fallback
+ */
+export function recordStaleSource(description, fetchedAt = null) {
+    if (!staleSources.some(source => source.description === description)) {
+        staleSources.push({ description, fetchedAt });
+    }
+}
+
+/**
+ * Get the data sources that may be stale in this run
+ */
+export function getStaleSources() {
+    return [...staleSources];
+}
+
+/**
+ * Explain which data used in this run may be out of date
+ */
+export function displayStaleDataNotice() {
+    if (staleSources.length === 0) {
+        return;
+    }
+
+    log(chalk.yellow('⚠️  The following data did not come from the registry and may be stale:\n'));
+    staleSources.forEach(({ description, fetchedAt }) => {
+        const age = fetchedAt ? `cached ${new Date(fetchedAt).toLocaleString()}` : 'built-in fallback';
+        log(chalk.yellow(`   • ${description}`) + chalk.gray(` (${age})`));
+    });
+    log('');
+}
@@ -0,0 +1,230 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { PROJECT_FEATURES, STYLE_FORMATS, TEMPLATE_OPTION_TYPES, TEST_RUNNERS, CI_PROVIDERS } from '../templates/templates.js';
+import { getProjectTemplates, getProjectStructures } from './template-loader.js';
+import { validateDirectoryName } from './file-utils.js';
+import { parseLibrarySpec } from './cli-options.js';
+import { PACKAGE_MANAGERS } from './package-manager.js';
+import { environmentsFromNames, validateEnvironments } from './environment-builder.js';
+
+const SPEC_KEYS = ['projectName', 'angularVersion', 'location', 'template', 'options', 'libraries', 'features', 'structure', 'testRunner', 'environments', 'ci', 'git', 'packageManager'];
+const GIT_KEYS = { init: 'boolean', initialCommit: 'boolean', initialCommitMessage: 'string' };
+
+/**
+ * Parse spec file content based on its extension
+ */
+function parseSpecContent(content, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+        return parseYaml(content);
+    }
+
+    return JSON.parse(content);
+}
+
+/**
+ * Validate a parsed project spec, returning a list of error messages
+ */
+export function validateProjectSpec(spec) {
+    const errors = [];
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return ['Spec must be an object'];
+    }
+
+    Object.keys(spec)
+        .filter(key => !SPEC_KEYS.includes(key))
+        .forEach(key => errors.push(`Unknown property "${key}"`));
+
+    if (spec.projectName !== undefined) {
+        const validation = typeof spec.projectName === 'string' ? validateDirectoryName(spec.projectName) : 'must be a string';
+        if (validation !== true) errors.push(`projectName: ${validation}`);
+    }
+
+    if (spec.angularVersion !== undefined && typeof spec.angularVersion !== 'string' && typeof spec.angularVersion !== 'number') {
+        errors.push('angularVersion: must be a version string such as "19", "^18.2.0" or "19.0.5"');
+    }
+
+    if (spec.location !== undefined && typeof spec.location !== 'string') {
+        errors.push('location: must be a string');
+    }
+
+    if (spec.template !== undefined && spec.template !== 'custom' && !getProjectTemplates()[spec.template]) {
+        errors.push(`template: unknown template "${spec.template}" (available: ${[...Object.keys(getProjectTemplates()), 'custom'].join(', ')})`);
+    }
+
+    if (spec.options !== undefined) {
+        if (!spec.options || typeof spec.options !== 'object' || Array.isArray(spec.options)) {
+            errors.push('options: must be an object');
+        } else {
+            Object.entries(spec.options).forEach(([key, value]) => {
+                if (!TEMPLATE_OPTION_TYPES[key]) {
+                    errors.push(`options.${key}: unknown option`);
+                } else if (typeof value !== TEMPLATE_OPTION_TYPES[key]) {
+                    errors.push(`options.${key}: must be a ${TEMPLATE_OPTION_TYPES[key]}`);
+                }
+            });
+
+            if (spec.options.style !== undefined && !STYLE_FORMATS.includes(spec.options.style)) {
+                errors.push(`options.style: must be one of ${STYLE_FORMATS.join(', ')}`);
+            }
+        }
+    }
+
+    if (spec.libraries !== undefined) {
+        if (!Array.isArray(spec.libraries)) {
+            errors.push('libraries: must be a list');
+        } else {
+            spec.libraries.forEach((lib, index) => {
+                if (typeof lib === 'string') return;
+                if (!lib || typeof lib !== 'object' || typeof lib.name !== 'string') {
+                    errors.push(`libraries[${index}]: must be "name@version" or an object with a "name"`);
+                } else if (lib.version !== undefined && typeof lib.version !== 'string') {
+                    errors.push(`libraries[${index}].version: must be a string`);
+                }
+            });
+        }
+    }
+
+    if (spec.features !== undefined) {
+        const knownFeatures = PROJECT_FEATURES.map(feature => feature.value);
+
+        if (!Array.isArray(spec.features)) {
+            errors.push('features: must be a list');
+        } else {
+            spec.features
+                .filter(feature => !knownFeatures.includes(feature))
+                .forEach(feature => errors.push(`features: unknown feature "${feature}" (available: ${knownFeatures.join(', ')})`));
+        }
+    }
+
+    if (spec.structure !== undefined && !getProjectStructures()[spec.structure]) {
+        errors.push(`structure: unknown structure "${spec.structure}" (available: ${Object.keys(getProjectStructures()).join(', ')})`);
+    }
+
+    if (spec.testRunner !== undefined && !TEST_RUNNERS[spec.testRunner]) {
+        errors.push(`testRunner: must be one of ${Object.keys(TEST_RUNNERS).join(', ')}`);
+    }
+
+    if (spec.environments !== undefined) {
+        // A list of names gets the default values
+        const environments = Array.isArray(spec.environments) ? environmentsFromNames(spec.environments.map(String)) : spec.environments;
+        validateEnvironments(environments).forEach(error => errors.push(`environments: ${error}`));
+    }
+
+    if (spec.ci !== undefined && !CI_PROVIDERS[spec.ci]) {
+        errors.push(`ci: must be one of ${Object.keys(CI_PROVIDERS).join(', ')}`);
+    }
+
+    if (spec.packageManager !== undefined && !PACKAGE_MANAGERS.includes(spec.packageManager)) {
+        errors.push(`packageManager: must be one of ${PACKAGE_MANAGERS.join(', ')}`);
+    }
+
+    if (spec.git !== undefined) {
+        if (!spec.git || typeof spec.git !== 'object' || Array.isArray(spec.git)) {
+            errors.push('git: must be an object');
+        } else {
+            Object.entries(spec.git).forEach(([key, value]) => {
+                if (!GIT_KEYS[key]) {
+                    errors.push(`git.${key}: unknown setting`);
+                } else if (typeof value !== GIT_KEYS[key]) {
+                    errors.push(`git.${key}: must be a ${GIT_KEYS[key]}`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Convert a validated spec into the config object used by the create flow
+ */
+export function specToConfig(spec, specDir) {
+    const config = {};
+
+    if (spec.projectName) config.projectName = spec.projectName;
+    if (spec.angularVersion !== undefined) config.angularVersion = String(spec.angularVersion);
+    if (spec.location) config.location = path.resolve(specDir, spec.location);
+    if (spec.structure) config.structure = spec.structure;
+    if (spec.testRunner) config.testRunner = spec.testRunner;
+    if (spec.environments) config.environments = Array.isArray(spec.environments) ? environmentsFromNames(spec.environments) : spec.environments;
+    if (spec.ci) config.ci = spec.ci;
+    if (spec.packageManager) config.packageManager = spec.packageManager;
+
+    if (spec.template) {
+        config.template = spec.template;
+    } else if (spec.options) {
+        config.template = 'custom';
+    }
+
+    if (spec.options) {
+        const baseOptions = config.template === 'custom'
+            ? { routing: true, style: 'css', strict: true, standalone: false }
+            : getProjectTemplates()[config.template].options;
+        config.options = { ...baseOptions, ...spec.options };
+    }
+
+    if (spec.libraries) {
+        config.libraries = spec.libraries.map(lib => {
+            if (typeof lib === 'string') return parseLibrarySpec(lib);
+
+            const { dev, isDev, ...rest } = lib;
+            return {
+                ...rest,
+                version: lib.version || 'latest',
+                ...(dev || isDev ? { isDev: true } : {})
+            };
+        });
+    }
+
+    // Without a features list, git.init applies to the default features
+    if (spec.features || typeof spec.git?.init === 'boolean') {
+        const features = spec.features
+            ? [...spec.features]
+            : PROJECT_FEATURES.filter(feature => feature.checked).map(feature => feature.value);
+
+        // git.init toggles the "git" feature so both forms of the spec agree
+        if (spec.git?.init === true && !features.includes('git')) {
+            features.push('git');
+        }
+
+        config.features = spec.git?.init === false
+            ? features.filter(feature => feature !== 'git')
+            : features;
+    }
+
+    if (spec.git) {
+        const { init, ...gitSettings } = spec.git;
+        if (Object.keys(gitSettings).length > 0) {
+            config.git = gitSettings;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Load and validate a project spec file (ng-init.json / ng-init.yaml)
+ */
+export async function loadProjectSpec(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    let spec;
+
+    try {
+        const content = await fs.readFile(resolvedPath, 'utf-8');
+        spec = parseSpecContent(content, resolvedPath);
+    } catch (error) {
+        throw new Error(`Could not read spec file ${resolvedPath}: ${error.message}`);
+    }
+
+    const errors = validateProjectSpec(spec);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid spec file ${resolvedPath}:\n${errors.map(error => `  • ${error}`).join('\n')}`);
+    }
+
+    return specToConfig(spec, path.dirname(resolvedPath));
+}
@@ -0,0 +1,133 @@
+import path from 'path';
+
+const CORE_FOLDER = 'src/app/core';
+const SHARED_FOLDER = 'src/app/shared';
+const DEFAULT_FEATURES_ROOT = 'src/app/features';
+
+/**
+ * Starter files for core/shared, keyed by component style. Standalone
+ * projects get provider functions and an imports array; NgModule projects
+ * get a CoreModule guarded against re-import and a SharedModule.
+ */
+const CORE_FILES = {
+    standalone: {
+        [`${CORE_FOLDER}/core.providers.ts`]: `import { EnvironmentProviders, makeEnvironmentProviders } from '@angular/core';
+
+/**
+ * App-wide singleton providers. Register them once in app.config.ts:
+ * providers: [provideCore()]
+ */
+export function provideCore(): EnvironmentProviders {
+  return makeEnvironmentProviders([]);
+}
+`,
+        [`${SHARED_FOLDER}/shared.imports.ts`]: `import { CommonModule } from '@angular/common';
+
+/**
+ * Imports shared by standalone components: imports: [...SHARED_IMPORTS]
+ */
+export const SHARED_IMPORTS = [CommonModule] as const;
+`
+    },
+    ngModule: {
+        [`${CORE_FOLDER}/core.module.ts`]: `import { NgModule, Optional, SkipSelf } from '@angular/core';
+
+/**
+ * App-wide singleton providers. Import it once, in AppModule.
+ */
+@NgModule({
+  providers: []
+})
+export class CoreModule {
+  constructor(@Optional() @SkipSelf() parentModule?: CoreModule) {
+    if (parentModule) {
+      throw new Error('CoreModule is already loaded. Import it in AppModule only.');
+    }
+  }
+}
+`,
+        [`${SHARED_FOLDER}/shared.module.ts`]: `import { NgModule } from '@angular/core';
+import { CommonModule } from '@angular/common';
+
+/**
+ * Components, directives and pipes shared by feature modules.
+ */
+@NgModule({
+  imports: [CommonModule],
+  exports: [CommonModule]
+})
+export class SharedModule {}
+`
+    }
+};
+
+/**
+ * Normalize a project-relative path to forward slashes without a trailing one
+ */
+function normalizeFolder(folder) {
+    return folder.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+/**
+ * Expand a structure's feature folders: every name (which may be nested, e.g.
+ * "admin/users") becomes a folder under the root with the given subfolders
+ */
+function expandFeatureFolders(features) {
+    const root = normalizeFolder(features.root || DEFAULT_FEATURES_ROOT);
+    const folders = [root];
+
+    features.names.forEach(name => {
+        const segments = normalizeFolder(name).split('/');
+        segments.forEach((_, index) => folders.push(`${root}/${segments.slice(0, index + 1).join('/')}`));
+        (features.folders || []).forEach(subfolder => folders.push(`${root}/${normalizeFolder(name)}/${normalizeFolder(subfolder)}`));
+    });
+
+    return folders;
+}
+
+/**
+ * Build a barrel index.ts for a folder that re-exports its TypeScript files
+ * and the barrels of its direct subfolders
+ */
+function buildBarrel(folder, folders, files) {
+    const exports = [
+        ...Object.keys(files)
+            .filter(file => path.posix.dirname(file) === folder && file.endsWith('.ts') && !file.endsWith('.spec.ts'))
+            .map(file => `./${path.posix.basename(file, '.ts')}`),
+        ...folders
+            .filter(candidate => path.posix.dirname(candidate) === folder)
+            .map(candidate => `./${path.posix.basename(candidate)}`)
+    ];
+
+    return exports.length > 0
+        ? exports.map(target => `export * from '${target}';`).join('\n') + '\n'
+        : 'export {};\n';
+}
+
+/**
+ * Resolve a structure definition into the folders and files to create for a
+ * project. `standalone` picks the core/shared starter files when the
+ * structure asks for them; barrels are added to every folder under src/app.
+ */
+export function resolveStructure(structure, { standalone = false } = {}) {
+    const folders = [...new Set([
+        ...(structure.folders || []),
+        ...(structure.features ? expandFeatureFolders(structure.features) : [])
+    ].map(normalizeFolder))];
+
+    const files = { ...(structure.files || {}) };
+
+    if (structure.coreFiles) {
+        Object.entries(CORE_FILES[standalone ? 'standalone' : 'ngModule'])
+            .filter(([file]) => folders.includes(path.posix.dirname(file)) && files[file] === undefined)
+            .forEach(([file, content]) => { files[file] = content; });
+    }
+
+    if (structure.barrels) {
+        folders
+            .filter(folder => folder.startsWith('src/app/') && files[`${folder}/index.ts`] === undefined)
+            .forEach(folder => { files[`${folder}/index.ts`] = buildBarrel(folder, folders, files); });
+    }
+
+    return { name: structure.name, folders, files };
+}
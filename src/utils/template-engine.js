@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { homedir } from 'os';
+import Handlebars from 'handlebars';
+import semver from 'semver';
+import { TEMPLATE_PARTIALS, TEST_RUNNERS } from '../templates/templates.js';
+import { DEFAULT_PACKAGE_MANAGER, getRunCommand, getExecCommand, formatPackageManager } from './package-manager.js';
+
+export const USER_FILE_TEMPLATES_DIR = path.join(homedir(), '.ng-init', 'files');
+export const PROJECT_FILE_TEMPLATES_DIR = path.join('.ng-init', 'files');
+export const TEMPLATE_EXTENSION = '.hbs';
+
+const PARTIALS_DIR = 'partials';
+
+// File overrides found by loadFileTemplates(), keyed by project-relative path, and user partials
+let fileOverrides = {};
+let userPartials = {};
+
+/**
+ * Create the Handlebars environment with the built-in helpers and partials.
+ * Output is source code and markdown, so nothing is HTML-escaped.
+ */
+function createEngine() {
+    const engine = Handlebars.create();
+
+    engine.registerHelper('eq', (a, b) => a === b);
+    engine.registerHelper('includes', (list, value) => Array.isArray(list) && list.includes(value));
+    engine.registerHelper('json', value => JSON.stringify(value, null, 2));
+    engine.registerHelper('join', (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : ''));
+
+    Object.entries({ ...TEMPLATE_PARTIALS, ...userPartials }).forEach(([name, partial]) => engine.registerPartial(name, partial));
+
+    return engine;
+}
+
+/**
+ * List the files below a directory as paths relative to it, with forward slashes
+ */
+async function listFilesRecursive(dir, prefix = '') {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await listFilesRecursive(dir, relative));
+        } else {
+            files.push(relative);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Load user file templates from ~/.ng-init/files, then the project-local
+ * .ng-init/files (later ones win). A file overrides the generated file with
+ * the same project-relative path, with or without a trailing .hbs;
+ * partials/<name>.hbs registers a partial.
+ */
+export async function loadFileTemplates(cwd = process.cwd()) {
+    fileOverrides = {};
+    userPartials = {};
+
+    for (const [dir, origin] of [[USER_FILE_TEMPLATES_DIR, 'user'], [path.join(cwd, PROJECT_FILE_TEMPLATES_DIR), 'project']]) {
+        for (const relative of await listFilesRecursive(dir)) {
+            const source = path.join(dir, relative);
+            const content = await fs.readFile(source, 'utf-8');
+
+            if (relative.startsWith(`${PARTIALS_DIR}/`)) {
+                userPartials[path.posix.basename(relative, TEMPLATE_EXTENSION)] = content;
+            } else {
+                const target = relative.endsWith(TEMPLATE_EXTENSION) ? relative.slice(0, -TEMPLATE_EXTENSION.length) : relative;
+                fileOverrides[target] = { content, origin, source };
+            }
+        }
+    }
+
+    return { files: fileOverrides, partials: userPartials };
+}
+
+/**
+ * Get the loaded user file templates, keyed by the file they override
+ */
+export function getFileTemplates() {
+    return fileOverrides;
+}
+
+/**
+ * Build the variables available to every generated file
+ */
+export function buildTemplateContext(config, { resolvedLibraries = [], packageManager = DEFAULT_PACKAGE_MANAGER, structure = null, environments = null } = {}) {
+    const features = config.features || [];
+    const options = config.options || {};
+    const format = ({ command, args }) => [command, ...args].join(' ');
+    const now = new Date();
+
+    return {
+        projectName: config.projectName,
+        description: config.description || 'An Angular application created with Angular Project Automator',
+        angularVersion: config.angularVersion,
+        angularMajor: semver.coerce(config.angularVersion)?.major ?? null,
+        nodeRange: config.nodeRange || null,
+        template: config.template,
+        options,
+        style: options.style || 'css',
+        standalone: Boolean(options.standalone),
+        routing: options.routing !== false,
+        libraries: resolvedLibraries,
+        dependencies: resolvedLibraries.filter(lib => !lib.isDev),
+        devDependencies: resolvedLibraries.filter(lib => lib.isDev),
+        features,
+        feature: Object.fromEntries(features.map(feature => [feature, true])),
+        structure,
+        testRunner: TEST_RUNNERS[config.testRunner]?.name || null,
+        environments: environments ? Object.keys(environments) : [],
+        packageManager: {
+            name: packageManager.name,
+            version: packageManager.version,
+            label: formatPackageManager(packageManager),
+            commands: {
+                install: `${packageManager.name} install`,
+                start: format(getRunCommand('start', [], packageManager)),
+                build: format(getRunCommand('build', [], packageManager)),
+                test: format(getRunCommand('test', [], packageManager)),
+                lint: format(getRunCommand('lint', [], packageManager)),
+                ng: format(getExecCommand('ng', [], packageManager))
+            }
+        },
+        year: now.getFullYear(),
+        date: now.toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Render a template string with the given context
+ */
+export function renderTemplate(source, context, name = 'template') {
+    try {
+        return createEngine().compile(source, { noEscape: true })(context);
+    } catch (error) {
+        throw new Error(`Could not render ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Render a map of generated files. A user file template with the same path
+ * replaces the content. Built-in content is always rendered; other content
+ * only when its path ends in .hbs (the suffix is dropped), so Angular
+ * interpolation in plain files is left alone. Non-string content (JSON
+ * objects) is passed through unless it is overridden.
+ */
+export function renderFiles(files, context, { builtIn = false } = {}) {
+    return Object.fromEntries(Object.entries(files).map(([file, content]) => {
+        const isTemplate = file.endsWith(TEMPLATE_EXTENSION);
+        const target = isTemplate ? file.slice(0, -TEMPLATE_EXTENSION.length) : file;
+        const override = fileOverrides[target];
+
+        if (override) {
+            return [target, renderTemplate(override.content, context, `${target} (${override.source})`)];
+        }
+
+        if (typeof content === 'string' && (builtIn || isTemplate)) {
+            return [target, renderTemplate(content, context, target)];
+        }
+
+        return [target, content];
+    }));
+}
+
+/**
+ * Render a single generated file (see renderFiles)
+ */
+export function renderFile(file, content, context, options = {}) {
+    return Object.values(renderFiles({ [file]: content }, context, options))[0];
+}
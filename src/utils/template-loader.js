@@ -0,0 +1,412 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { homedir } from 'os';
+import { pathToFileURL } from 'url';
+import semver from 'semver';
+import { execa } from 'execa';
+import { PROJECT_TEMPLATES, PROJECT_STRUCTURE, STYLE_FORMATS, TEMPLATE_OPTION_TYPES } from '../templates/templates.js';
+
+export const USER_TEMPLATES_DIR = path.join(homedir(), '.ng-init', 'templates');
+export const PROJECT_TEMPLATES_DIR = path.join('.ng-init', 'templates');
+export const TEMPLATE_PACKAGE_PREFIX = 'ng-init-template-';
+export const USER_STRUCTURES_DIR = path.join(homedir(), '.ng-init', 'structures');
+export const PROJECT_STRUCTURES_DIR = path.join('.ng-init', 'structures');
+
+const TEMPLATE_KEYS = ['name', 'description', 'angular', 'options', 'packages', 'devPackages', 'structure', 'files'];
+const STRUCTURE_KEYS = ['name', 'description', 'folders', 'features', 'files', 'barrels', 'coreFiles'];
+const TEMPLATE_EXTENSIONS = ['.json', '.js', '.mjs'];
+
+// Templates and structures found by loadTemplates(), keyed by id, and the ones that failed to load
+let pluginTemplates = {};
+let pluginStructures = {};
+let loadErrors = [];
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a template file path stays inside the project
+ */
+function isSafeProjectPath(file) {
+    return !path.isAbsolute(file) && !file.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Validate a map of project-relative paths to file contents
+ */
+function validateFileMap(files, key, errors) {
+    if (!isObject(files)) {
+        errors.push(`${key}: must be an object mapping file paths to contents`);
+        return;
+    }
+
+    Object.entries(files).forEach(([file, content]) => {
+        if (!isSafeProjectPath(file)) {
+            errors.push(`${key}["${file}"]: must be a relative path inside the project`);
+        } else if (typeof content !== 'string') {
+            errors.push(`${key}["${file}"]: content must be a string`);
+        }
+    });
+}
+
+/**
+ * Validate the folders, feature folders, files and flags of a structure
+ */
+function validateStructureShape(structure, prefix, errors) {
+    const isFolderList = value => Array.isArray(value) && value.every(folder => typeof folder === 'string' && folder && isSafeProjectPath(folder));
+
+    if (structure.folders !== undefined && !isFolderList(structure.folders)) {
+        errors.push(`${prefix}folders: must be a list of relative folder paths`);
+    }
+
+    if (structure.features !== undefined) {
+        if (!isObject(structure.features)) {
+            errors.push(`${prefix}features: must be an object with "names" and optional "root" and "folders"`);
+        } else {
+            if (structure.features.root !== undefined && !isFolderList([structure.features.root])) {
+                errors.push(`${prefix}features.root: must be a relative folder path`);
+            }
+            if (!isFolderList(structure.features.names)) {
+                errors.push(`${prefix}features.names: must be a list of feature names, e.g. "auth" or "admin/users"`);
+            }
+            if (structure.features.folders !== undefined && !isFolderList(structure.features.folders)) {
+                errors.push(`${prefix}features.folders: must be a list of relative folder paths`);
+            }
+        }
+    }
+
+    if (structure.folders === undefined && structure.features === undefined) {
+        errors.push(`${prefix}folders: required unless "features" is set`);
+    }
+
+    if (structure.files !== undefined) {
+        validateFileMap(structure.files, `${prefix}files`, errors);
+    }
+
+    ['barrels', 'coreFiles'].forEach(key => {
+        if (structure[key] !== undefined && typeof structure[key] !== 'boolean') {
+            errors.push(`${prefix}${key}: must be a boolean`);
+        }
+    });
+}
+
+/**
+ * Validate a structure definition against the structure schema, returning a
+ * list of error messages
+ */
+export function validateStructure(structure) {
+    const errors = [];
+
+    if (!isObject(structure)) {
+        return ['Structure must be an object'];
+    }
+
+    Object.keys(structure)
+        .filter(key => !STRUCTURE_KEYS.includes(key))
+        .forEach(key => errors.push(`Unknown property "${key}"`));
+
+    if (typeof structure.name !== 'string' || !structure.name.trim()) {
+        errors.push('name: required string');
+    }
+
+    if (structure.description !== undefined && typeof structure.description !== 'string') {
+        errors.push('description: must be a string');
+    }
+
+    validateStructureShape(structure, '', errors);
+
+    return errors;
+}
+
+/**
+ * Validate a template definition against the template schema, returning a
+ * list of error messages
+ */
+export function validateTemplate(template) {
+    const errors = [];
+
+    if (!isObject(template)) {
+        return ['Template must be an object'];
+    }
+
+    Object.keys(template)
+        .filter(key => !TEMPLATE_KEYS.includes(key))
+        .forEach(key => errors.push(`Unknown property "${key}"`));
+
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+        errors.push('name: required string');
+    }
+
+    if (template.description !== undefined && typeof template.description !== 'string') {
+        errors.push('description: must be a string');
+    }
+
+    if (template.angular !== undefined && (typeof template.angular !== 'string' || !semver.validRange(template.angular))) {
+        errors.push('angular: must be a semver range of supported Angular versions, e.g. ">=17 <20"');
+    }
+
+    if (template.options !== undefined) {
+        if (!isObject(template.options)) {
+            errors.push('options: must be an object');
+        } else {
+            Object.entries(template.options).forEach(([key, value]) => {
+                if (!TEMPLATE_OPTION_TYPES[key]) {
+                    errors.push(`options.${key}: unknown option`);
+                } else if (typeof value !== TEMPLATE_OPTION_TYPES[key]) {
+                    errors.push(`options.${key}: must be a ${TEMPLATE_OPTION_TYPES[key]}`);
+                }
+            });
+
+            if (template.options.style !== undefined && !STYLE_FORMATS.includes(template.options.style)) {
+                errors.push(`options.style: must be one of ${STYLE_FORMATS.join(', ')}`);
+            }
+        }
+    }
+
+    ['packages', 'devPackages'].forEach(key => {
+        if (template[key] === undefined) return;
+
+        if (!Array.isArray(template[key])) {
+            errors.push(`${key}: must be a list of "name" or "name@version" strings`);
+        } else {
+            template[key].forEach((spec, index) => {
+                if (typeof spec !== 'string' || !spec.trim()) {
+                    errors.push(`${key}[${index}]: must be a "name" or "name@version" string`);
+                }
+            });
+        }
+    });
+
+    if (template.structure !== undefined) {
+        if (typeof template.structure === 'string') {
+            if (!getProjectStructures()[template.structure]) {
+                errors.push(`structure: unknown structure "${template.structure}" (available: ${Object.keys(getProjectStructures()).join(', ')})`);
+            }
+        } else if (!isObject(template.structure)) {
+            errors.push('structure: must be a structure name or an object with "folders" and "files"');
+        } else {
+            validateStructureShape(template.structure, 'structure.', errors);
+        }
+    }
+
+    if (template.files !== undefined) {
+        validateFileMap(template.files, 'files', errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Read a template definition from a .json file or a JS module's default export
+ */
+async function readTemplateFile(filePath) {
+    if (path.extname(filePath) === '.json') {
+        return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    }
+
+    const module = await import(pathToFileURL(filePath).href);
+    return module.default;
+}
+
+/**
+ * List the template files in a directory as { id, file } entries
+ */
+async function listTemplateFiles(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir);
+    } catch {
+        return [];
+    }
+
+    return entries
+        .filter(entry => TEMPLATE_EXTENSIONS.includes(path.extname(entry)))
+        .sort()
+        .map(entry => ({ id: path.basename(entry, path.extname(entry)), file: path.join(dir, entry) }));
+}
+
+/**
+ * List installed ng-init-template-* packages (including scoped ones) in a
+ * node_modules directory as { id, file, packageName } entries
+ */
+async function listTemplatePackages(nodeModulesDir) {
+    const candidates = [];
+
+    let entries;
+    try {
+        entries = await fs.readdir(nodeModulesDir);
+    } catch {
+        return [];
+    }
+
+    for (const entry of entries) {
+        if (entry.startsWith(TEMPLATE_PACKAGE_PREFIX)) {
+            candidates.push(entry);
+        } else if (entry.startsWith('@')) {
+            try {
+                (await fs.readdir(path.join(nodeModulesDir, entry)))
+                    .filter(name => name.startsWith(TEMPLATE_PACKAGE_PREFIX))
+                    .forEach(name => candidates.push(`${entry}/${name}`));
+            } catch {
+                // Not a directory
+            }
+        }
+    }
+
+    const packages = [];
+    for (const packageName of candidates.sort()) {
+        const packageDir = path.join(nodeModulesDir, packageName);
+
+        try {
+            const manifest = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+            packages.push({
+                id: packageName.split('/').pop().slice(TEMPLATE_PACKAGE_PREFIX.length),
+                file: path.join(packageDir, manifest.main || 'index.js'),
+                packageName
+            });
+        } catch {
+            // Packages without a readable package.json are skipped
+        }
+    }
+
+    return packages;
+}
+
+/**
+ * Get the global node_modules directory, or null when npm is not available
+ */
+async function getGlobalNodeModules() {
+    try {
+        const { stdout } = await execa('npm', ['root', '-g']);
+        return stdout.trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Discover, validate and register user-defined structures from
+ * ~/.ng-init/structures, then the project-local .ng-init/structures
+ */
+async function loadStructures(cwd) {
+    const sources = [
+        ...(await listTemplateFiles(USER_STRUCTURES_DIR)).map(entry => ({ ...entry, origin: 'user' })),
+        ...(await listTemplateFiles(path.join(cwd, PROJECT_STRUCTURES_DIR))).map(entry => ({ ...entry, origin: 'project' }))
+    ];
+
+    pluginStructures = {};
+
+    for (const { id, file, origin } of sources) {
+        let structure;
+        try {
+            structure = await readTemplateFile(file);
+        } catch (error) {
+            loadErrors.push({ kind: 'structure', id, file, errors: [`Could not load: ${error.message}`] });
+            continue;
+        }
+
+        const errors = validateStructure(structure);
+        if (PROJECT_STRUCTURE[id]) {
+            errors.push(`id "${id}" is reserved by a built-in structure`);
+        }
+
+        if (errors.length > 0) {
+            loadErrors.push({ kind: 'structure', id, file, errors });
+        } else {
+            pluginStructures[id] = { ...structure, origin, source: file };
+        }
+    }
+}
+
+/**
+ * Discover, validate and register user-defined structures and templates.
+ * Structures are loaded first so templates can refer to them by name. Later
+ * template sources override earlier ones with the same id: installed
+ * ng-init-template-* packages (global, then local), ~/.ng-init/templates,
+ * then the project-local .ng-init/templates. Built-in templates and
+ * structures cannot be overridden.
+ */
+export async function loadTemplates(cwd = process.cwd()) {
+    loadErrors = [];
+    await loadStructures(cwd);
+
+    const globalNodeModules = await getGlobalNodeModules();
+    const sources = [
+        ...(globalNodeModules ? (await listTemplatePackages(globalNodeModules)).map(entry => ({ ...entry, origin: entry.packageName })) : []),
+        ...(await listTemplatePackages(path.join(cwd, 'node_modules'))).map(entry => ({ ...entry, origin: entry.packageName })),
+        ...(await listTemplateFiles(USER_TEMPLATES_DIR)).map(entry => ({ ...entry, origin: 'user' })),
+        ...(await listTemplateFiles(path.join(cwd, PROJECT_TEMPLATES_DIR))).map(entry => ({ ...entry, origin: 'project' }))
+    ];
+
+    pluginTemplates = {};
+
+    for (const { id, file, origin } of sources) {
+        let template;
+        try {
+            template = await readTemplateFile(file);
+        } catch (error) {
+            loadErrors.push({ kind: 'template', id, file, errors: [`Could not load: ${error.message}`] });
+            continue;
+        }
+
+        const errors = validateTemplate(template);
+        if (PROJECT_TEMPLATES[id] || id === 'custom') {
+            errors.push(`id "${id}" is reserved by a built-in template`);
+        }
+
+        if (errors.length > 0) {
+            loadErrors.push({ kind: 'template', id, file, errors });
+        } else {
+            pluginTemplates[id] = { ...template, origin, source: file };
+        }
+    }
+
+    return { templates: pluginTemplates, structures: pluginStructures, errors: loadErrors };
+}
+
+/**
+ * Get the built-in templates followed by the loaded user-defined ones
+ */
+export function getProjectTemplates() {
+    return { ...PROJECT_TEMPLATES, ...pluginTemplates };
+}
+
+/**
+ * Get the built-in structures followed by the loaded user-defined ones
+ */
+export function getProjectStructures() {
+    return { ...PROJECT_STRUCTURE, ...pluginStructures };
+}
+
+/**
+ * Get the user-defined templates and structures that failed to load or validate
+ */
+export function getTemplateLoadErrors() {
+    return loadErrors;
+}
+
+/**
+ * Check whether a template supports an Angular version (templates without an
+ * "angular" range support every version)
+ */
+export function isTemplateCompatible(template, angularVersion) {
+    return !template?.angular || !angularVersion || semver.satisfies(angularVersion, template.angular, { includePrerelease: true });
+}
+
+/**
+ * Get the folder structure a template creates: its own, a named built-in or
+ * user-defined one, or null when it does not declare one
+ */
+export function getTemplateStructure(template) {
+    if (!template?.structure) {
+        return null;
+    }
+
+    return typeof template.structure === 'string'
+        ? getProjectStructures()[template.structure]
+        : { name: template.name, ...template.structure };
+}
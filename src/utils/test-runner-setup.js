@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import semver from 'semver';
+import { TEST_RUNNERS } from '../templates/templates.js';
+import { parseLibrarySpec } from './cli-options.js';
+import { readPackageJson } from './file-utils.js';
+import { parseJsonc, patchProjectFiles } from './json-patcher.js';
+
+const DEFAULT_SPEC_TSCONFIG = 'tsconfig.spec.json';
+
+/**
+ * Get the Angular version as a semver, or null for unknown versions
+ */
+function toVersion(angularVersion) {
+    return (angularVersion && semver.coerce(angularVersion)) || null;
+}
+
+/**
+ * Check whether a test runner supports an Angular version (unknown versions
+ * are accepted)
+ */
+export function isTestRunnerCompatible(key, angularVersion) {
+    const runner = TEST_RUNNERS[key];
+    const version = toVersion(angularVersion);
+
+    return Boolean(runner) && (!version || semver.satisfies(version, runner.angular));
+}
+
+/**
+ * Get the test runners that support an Angular version
+ */
+export function getTestRunners(angularVersion) {
+    return Object.fromEntries(Object.entries(TEST_RUNNERS).filter(([key]) => isTestRunnerCompatible(key, angularVersion)));
+}
+
+/**
+ * Get the test runner `ng new` generates for an Angular version
+ */
+export function getDefaultTestRunner(angularVersion) {
+    const version = toVersion(angularVersion);
+    const entry = version && Object.entries(TEST_RUNNERS).find(([, runner]) => runner.default && semver.satisfies(version, runner.default));
+
+    return entry ? entry[0] : 'karma';
+}
+
+/**
+ * Check whether `ng new` sets up a test runner by itself
+ */
+export function isCreatedByNgNew(key, angularVersion) {
+    const version = toVersion(angularVersion);
+    const { ngNew } = TEST_RUNNERS[key] || {};
+
+    return Boolean(ngNew) && (!version || semver.satisfies(version, ngNew));
+}
+
+/**
+ * Work out how to switch a new project from the generated test runner to
+ * another one: the packages to install and remove, the files to remove and
+ * the runner's own config files
+ */
+export function getTestRunnerSetup(key, angularVersion) {
+    const major = toVersion(angularVersion)?.major ?? 0;
+    const runner = TEST_RUNNERS[key];
+    const generated = TEST_RUNNERS[getDefaultTestRunner(angularVersion)];
+    const toName = spec => parseLibrarySpec(spec).name;
+
+    const packages = runner.packages(major);
+    const generatedNames = generated.packages(major).map(toName);
+
+    return {
+        name: runner.name,
+        install: packages.filter(spec => !generatedNames.includes(toName(spec))),
+        remove: generatedNames.filter(name => !packages.map(toName).includes(name)),
+        removeFiles: generated === runner ? [] : generated.removeFiles,
+        files: runner.files || {}
+    };
+}
+
+/**
+ * Replace the types of other test runners in a tsconfig with the runner's own
+ */
+function replaceTestTypes(tsconfig, types) {
+    const runnerTypes = Object.values(TEST_RUNNERS).flatMap(runner => runner.types);
+    const kept = (tsconfig.compilerOptions?.types || []).filter(type => !runnerTypes.includes(type));
+
+    return {
+        ...tsconfig,
+        compilerOptions: { ...tsconfig.compilerOptions, types: [...types, ...kept] }
+    };
+}
+
+/**
+ * Point the `test` target of every application project at the test runner and
+ * update the tsconfig files they use. Runs after the runner's packages are installed.
+ */
+export async function configureTestRunner(projectPath, key, angularVersion) {
+    try {
+        const runner = TEST_RUNNERS[key];
+        const major = toVersion(angularVersion)?.major ?? 0;
+        const packageJson = await readPackageJson(projectPath);
+        const zone = Boolean(packageJson?.dependencies?.['zone.js'] || packageJson?.devDependencies?.['zone.js']);
+
+        // Config files of the generated runner (karma.conf.js, src/test.ts before Angular 15)
+        for (const file of getTestRunnerSetup(key, angularVersion).removeFiles) {
+            await fs.rm(path.join(projectPath, file), { force: true });
+        }
+
+        const workspace = parseJsonc(await fs.readFile(path.join(projectPath, 'angular.json'), 'utf-8'), 'angular.json');
+        const testProjects = Object.values(workspace.projects || {})
+            .filter(project => project.projectType === 'application' && project.architect?.test);
+        const tsconfigs = [...new Set(testProjects.map(project => project.architect.test.options?.tsConfig || DEFAULT_SPEC_TSCONFIG))];
+
+        const patches = {
+            'angular.json': (existing) => {
+                Object.values(existing.projects || {})
+                    .filter(project => project.projectType === 'application' && project.architect?.test)
+                    .forEach(project => {
+                        project.architect.test = runner.target({ major, zone, options: project.architect.test.options || {} });
+                    });
+                return existing;
+            }
+        };
+
+        for (const tsconfig of tsconfigs) {
+            try {
+                await fs.access(path.join(projectPath, tsconfig));
+                patches[tsconfig] = (existing) => replaceTestTypes(existing, runner.types);
+            } catch {
+                console.log(chalk.yellow(`⚠️  ${tsconfig} was not found; set its "types" to ${JSON.stringify(runner.types)} manually`));
+            }
+        }
+
+        return patchProjectFiles(projectPath, patches);
+    } catch (error) {
+        console.error(chalk.red('Failed to configure the test runner:'), error.message);
+        return false;
+    }
+}
@@ -0,0 +1,308 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { select } from '@inquirer/prompts';
+import { LOCKFILES } from './package-manager.js';
+
+// Files a package manager command may rewrite in an existing project
+const INSTALL_FILES = ['package.json', ...Object.values(LOCKFILES), 'bun.lock'];
+
+/**
+ * Check whether a path exists
+ */
+async function pathExists(targetPath) {
+    try {
+        await fs.access(targetPath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * List the top-level entries of a directory (empty when it does not exist)
+ */
+async function listEntries(dirPath) {
+    try {
+        return await fs.readdir(dirPath);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Get the project-relative files a step may overwrite or remove
+ */
+function getTouchedFiles(step, projectPath) {
+    const files = new Set();
+
+    step.actions.forEach(action => {
+        if (action.type === 'write' || action.type === 'update' || action.type === 'remove') {
+            files.add(action.path);
+        } else if (action.type === 'command' && action.cwd === projectPath) {
+            INSTALL_FILES.forEach(file => files.add(file));
+        }
+    });
+
+    return [...files];
+}
+
+/**
+ * Create a transaction journal for the steps run against a project directory.
+ *
+ * When the project directory is created by the run, rolling back deletes it.
+ * Otherwise every step records the files it may overwrite (with their previous
+ * content) and the entries it creates, and rolling back restores them in
+ * reverse order.
+ */
+export function createTransaction(projectPath) {
+    const journal = {
+        projectPath,
+        createdProject: false,
+        snapshots: [],
+        steps: []
+    };
+
+    return {
+        journal,
+
+        /**
+         * Start the journal; must be called before the first step. `trackedFiles`
+         * are files changed between steps (e.g. the run state) that a rollback restores.
+         */
+        async begin(trackedFiles = []) {
+            journal.createdProject = !(await pathExists(projectPath));
+
+            for (const file of journal.createdProject ? [] : trackedFiles) {
+                try {
+                    journal.snapshots.push({ path: file, content: await fs.readFile(path.join(projectPath, file)) });
+                } catch {
+                    journal.snapshots.push({ path: file, content: null });
+                }
+            }
+        },
+
+        /**
+         * Record the state a step is about to change
+         */
+        async beforeStep(step) {
+            const entry = { id: step.id, status: 'running', snapshots: [], created: [] };
+            journal.steps.push(entry);
+
+            // Everything inside a directory created by this run is removed with it
+            if (journal.createdProject) {
+                return;
+            }
+
+            for (const file of getTouchedFiles(step, projectPath)) {
+                try {
+                    entry.snapshots.push({ path: file, content: await fs.readFile(path.join(projectPath, file)) });
+                } catch {
+                    entry.snapshots.push({ path: file, content: null });
+                }
+            }
+
+            for (const action of step.actions.filter(action => action.type === 'mkdir')) {
+                if (!(await pathExists(path.join(projectPath, action.path)))) {
+                    entry.created.push(action.path);
+                }
+            }
+
+            entry.entriesBefore = await listEntries(projectPath);
+        },
+
+        /**
+         * Record the outcome of a step and the top-level entries it created
+         */
+        async afterStep(step, succeeded) {
+            const entry = journal.steps.find(candidate => candidate.id === step.id && candidate.status === 'running');
+            if (!entry) return;
+
+            entry.status = succeeded ? 'completed' : 'failed';
+
+            if (entry.entriesBefore) {
+                const entriesAfter = await listEntries(projectPath);
+                entriesAfter
+                    .filter(name => !entry.entriesBefore.includes(name) && !entry.created.includes(name))
+                    .filter(name => !entry.snapshots.some(snapshot => snapshot.path === name))
+                    .forEach(name => entry.created.push(name));
+                delete entry.entriesBefore;
+            }
+        },
+
+        /**
+         * Undo every recorded change, returning what was removed and restored
+         */
+        async rollback() {
+            const result = { removed: [], restored: [] };
+
+            if (journal.createdProject) {
+                await fs.rm(projectPath, { recursive: true, force: true });
+                result.removed.push(projectPath);
+                return result;
+            }
+
+            const undo = [...journal.steps].reverse();
+            undo.push({ snapshots: journal.snapshots, created: [] });
+
+            for (const entry of undo) {
+                for (const snapshot of [...entry.snapshots].reverse()) {
+                    const filePath = path.join(projectPath, snapshot.path);
+
+                    if (snapshot.content === null) {
+                        if (await pathExists(filePath)) {
+                            await fs.rm(filePath, { force: true });
+                            result.removed.push(snapshot.path);
+                        }
+                    } else {
+                        await fs.writeFile(filePath, snapshot.content);
+                        if (!result.restored.includes(snapshot.path)) result.restored.push(snapshot.path);
+                    }
+                }
+
+                for (const created of [...entry.created].reverse()) {
+                    const createdPath = path.join(projectPath, created);
+
+                    if (await pathExists(createdPath)) {
+                        await fs.rm(createdPath, { recursive: true, force: true });
+                        result.removed.push(created);
+                    }
+                }
+            }
+
+            return result;
+        }
+    };
+}
+
+/**
+ * Print what a rollback undid
+ */
+function displayRollbackResult(result) {
+    result.removed.forEach(item => console.log(chalk.gray(`   - removed ${item}`)));
+    result.restored.forEach(item => console.log(chalk.gray(`   ↺ restored ${item}`)));
+    console.log(chalk.green('\n✓ Rolled back all changes\n'));
+}
+
+/**
+ * Decide what to do after a failed step: roll back, keep the partial result,
+ * or (for optional steps) continue with the next step
+ */
+async function chooseFailureAction(step, { interactive, keepOnFailure, interrupted }) {
+    if (keepOnFailure) {
+        return 'keep';
+    }
+
+    if (!interactive) {
+        return 'rollback';
+    }
+
+    const choices = [
+        { name: 'Roll back all changes', value: 'rollback' },
+        { name: 'Keep the project as it is (for debugging)', value: 'keep' }
+    ];
+
+    if (step && !step.required && !interrupted) {
+        choices.push({ name: 'Continue without this step', value: 'continue' });
+    }
+
+    try {
+        return await select({ message: 'What would you like to do?', choices });
+    } catch {
+        // Ctrl+C at the prompt leaves everything in place
+        return 'keep';
+    }
+}
+
+/**
+ * Run the steps of an execution plan in a transaction.
+ *
+ * Each step is journaled. When a step fails, or the run is interrupted with
+ * Ctrl+C, the changes made so far can be rolled back; --keep-on-failure
+ * leaves them in place. `onStepCompleted(step)` is awaited after every step
+ * that succeeds. Returns true when all steps succeeded; exits otherwise. A
+ * step that throws is rolled back (unless keepOnFailure) and the error rethrown.
+ */
+export async function runStepsInTransaction(steps, projectPath, options = {}) {
+    const { interactive = false, keepOnFailure = false, onStepCompleted, resumeCommand, trackedFiles = [] } = options;
+    const transaction = createTransaction(projectPath);
+    let interrupted = false;
+
+    // The running command receives Ctrl+C as well, so the step fails and the loop handles it
+    const onInterrupt = () => {
+        if (interrupted) {
+            process.exit(130);
+        }
+        interrupted = true;
+        console.log(chalk.yellow('\n\n⚠️  Interrupted. Waiting for the current step to stop (press Ctrl+C again to exit immediately)...\n'));
+    };
+
+    process.on('SIGINT', onInterrupt);
+    await transaction.begin(trackedFiles);
+
+    try {
+        for (const step of steps) {
+            let succeeded = false;
+
+            if (!interrupted) {
+                await transaction.beforeStep(step);
+
+                try {
+                    succeeded = await step.run();
+                } catch (error) {
+                    // A step that throws may be half applied; undo it before the error propagates
+                    await transaction.afterStep(step, false);
+
+                    if (!keepOnFailure) {
+                        console.log(chalk.bold.cyan('\n↩️  Rolling back...\n'));
+                        displayRollbackResult(await transaction.rollback());
+                    }
+                    throw error;
+                }
+
+                await transaction.afterStep(step, succeeded);
+
+                if (succeeded && onStepCompleted) {
+                    await onStepCompleted(step);
+                }
+            }
+
+            if (succeeded && !interrupted) {
+                continue;
+            }
+
+            if (!interrupted) {
+                console.log(chalk.red(`Failed to ${step.title.charAt(0).toLowerCase()}${step.title.slice(1)}.`));
+            }
+
+            // Prompts need Ctrl+C back
+            process.off('SIGINT', onInterrupt);
+            const action = await chooseFailureAction(step, { interactive, keepOnFailure, interrupted });
+            process.on('SIGINT', onInterrupt);
+
+            if (action === 'continue') {
+                continue;
+            }
+
+            if (action === 'rollback') {
+                console.log(chalk.bold.cyan('\n↩️  Rolling back...\n'));
+                displayRollbackResult(await transaction.rollback());
+            } else {
+                console.log(chalk.yellow(`\nKept ${projectPath} for debugging.`));
+
+                // Resuming needs at least one completed step (the project directory)
+                const resumable = !transaction.journal.createdProject || transaction.journal.steps.some(entry => entry.status === 'completed');
+                if (resumeCommand && resumable) {
+                    console.log(chalk.white('Continue from the failed step with: ') + chalk.cyan(resumeCommand));
+                }
+                console.log('');
+            }
+
+            process.exit(interrupted ? 130 : 1);
+        }
+    } finally {
+        process.off('SIGINT', onInterrupt);
+    }
+
+    return true;
+}
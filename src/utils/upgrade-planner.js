@@ -0,0 +1,325 @@
+import path from 'path';
+import semver from 'semver';
+import chalk from 'chalk';
+import ora from 'ora';
+import { findWorkspaceRoot, readWorkspace } from './workspace.js';
+import { findCompatibleLibraryVersion, getPackagePeerDependencies, checkNodeCompatibility } from './compatibility.js';
+import { getAngularVersions, resolveAngularVersion, getNodeRequirementsForAngular, getPackageVersions } from './npm-search.js';
+import { getNodeVersion } from './version-checker.js';
+import { FRAMEWORK_PACKAGES, PLATFORM_PACKAGES, LOCKSTEP_GROUPS, getLockstepGroup } from './peer-solver.js';
+import { detectProjectPackageManager, resolvePackageManager, getExecCommand } from './package-manager.js';
+import { formatCommand } from './execution-plan.js';
+import { displayStaleDataNotice } from './registry.js';
+
+// Updated by `ng update @angular/core @angular/cli` through their package groups
+const CORE_UPDATE_PREFIXES = ['@angular-devkit/', '@schematics/angular', '@angular/build', '@angular/ssr'];
+
+const COMPONENTS_GROUP = LOCKSTEP_GROUPS.find(group => group.name === 'Angular Components');
+
+/**
+ * Check whether `ng update @angular/core @angular/cli` already updates a package
+ */
+function isCoveredByCoreUpdate(packageName) {
+    return FRAMEWORK_PACKAGES.includes(packageName) || packageName === '@angular/cli' ||
+        CORE_UPDATE_PREFIXES.some(prefix => packageName.startsWith(prefix));
+}
+
+/**
+ * Check whether a version satisfies a range, treating invalid ranges as unsatisfied
+ */
+function satisfies(version, range) {
+    try {
+        return semver.satisfies(version, range, { includePrerelease: true });
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the Angular peer range of a package version (null when it has none)
+ */
+async function getAngularPeerRange(packageName, version) {
+    const peers = await getPackagePeerDependencies(packageName, version);
+    return peers['@angular/core'] || peers['@angular/common'] || null;
+}
+
+/**
+ * Get the Node.js, TypeScript, RxJS and zone.js ranges an Angular version requires.
+ * The CLI publishes patches the framework does not, so the framework peers are
+ * read from the newest @angular/core release of the same major up to that version.
+ */
+async function getAngularRequirements(angularVersion) {
+    const coreVersions = (await getPackageVersions('@angular/core')).versions;
+    const coreVersion = semver.maxSatisfying(coreVersions, `>=${semver.major(angularVersion)}.0.0 <=${angularVersion}`) || angularVersion;
+    const corePeers = await getPackagePeerDependencies('@angular/core', coreVersion);
+    const compilerPeers = await getPackagePeerDependencies('@angular/compiler-cli', coreVersion);
+
+    return {
+        node: await getNodeRequirementsForAngular(angularVersion),
+        typescript: compilerPeers.typescript || null,
+        rxjs: corePeers.rxjs || null,
+        'zone.js': corePeers['zone.js'] || null
+    };
+}
+
+/**
+ * Plan the platform packages (TypeScript, RxJS, zone.js) that have to move
+ * with @angular/core, updating `versions` in place
+ */
+async function planPlatformUpdates(requirements, versions) {
+    const updates = [];
+    const blockers = [];
+
+    for (const name of Object.keys(PLATFORM_PACKAGES)) {
+        const range = requirements[name];
+        const current = versions[name];
+
+        if (!range || !current || satisfies(current, range)) {
+            continue;
+        }
+
+        const target = semver.maxSatisfying((await getPackageVersions(name)).versions, range);
+        if (target) {
+            updates.push({ name, from: current, to: target, reason: `${PLATFORM_PACKAGES[name].label} ${range} required` });
+            versions[name] = target;
+        } else {
+            blockers.push(`No ${PLATFORM_PACKAGES[name].label} release satisfies ${range}`);
+        }
+    }
+
+    return { updates, blockers };
+}
+
+/**
+ * Plan the third-party libraries whose Angular peer range rejects the new
+ * version: the lowest newer version that accepts it, with lockstep families
+ * (e.g. NgRx) moved together. Updates `versions` in place.
+ */
+async function planLibraryUpdates(libraries, angularVersion, versions) {
+    const updates = [];
+    const blockers = [];
+
+    for (const name of libraries) {
+        const current = versions[name];
+        const peerRange = await getAngularPeerRange(name, current);
+
+        if (!peerRange || satisfies(angularVersion, peerRange)) {
+            continue;
+        }
+
+        const result = await findCompatibleLibraryVersion(name, angularVersion, false, current);
+        const target = result.version.replace(/^[\^~]/, '');
+
+        if (result.warning || !semver.valid(target)) {
+            blockers.push(`${name}@${current} requires @angular/core ${peerRange}, and no newer release supports Angular ${angularVersion}`);
+            continue;
+        }
+
+        updates.push({ name, from: current, to: target, reason: `${current} requires @angular/core ${peerRange}` });
+    }
+
+    // Lockstep families share the highest version any member needs
+    LOCKSTEP_GROUPS.forEach(group => {
+        const members = updates.filter(update => getLockstepGroup(update.name) === group);
+        if (members.length === 0) return;
+
+        const to = members.map(update => update.to).sort(semver.rcompare)[0];
+        libraries
+            .filter(name => getLockstepGroup(name) === group && !members.some(update => update.name === name))
+            .forEach(name => updates.push({ name, from: versions[name], to, reason: `${group.name} packages share one version` }));
+        updates.filter(update => getLockstepGroup(update.name) === group).forEach(update => { update.to = to; });
+    });
+
+    updates.forEach(update => { versions[update.name] = update.to; });
+
+    return { updates, blockers };
+}
+
+/**
+ * Build the ordered upgrade plan from the installed Angular version to the
+ * target, one major version at a time (as `ng update` requires)
+ */
+export async function buildUpgradePlan(workspace, targetSpec, nodeVersion) {
+    const currentVersion = workspace.angularVersion;
+    const angularVersions = await getAngularVersions();
+    const targetVersion = resolveAngularVersion(String(targetSpec), angularVersions);
+
+    if (!currentVersion) {
+        throw new Error('Could not determine the installed Angular version');
+    }
+    if (!targetVersion) {
+        throw new Error(`No Angular release matches "${targetSpec}"`);
+    }
+    if (semver.lte(targetVersion, currentVersion)) {
+        throw new Error(`The project already uses Angular ${currentVersion} (target ${targetVersion})`);
+    }
+
+    const dependencies = Object.values(workspace.dependencies).filter(dependency => semver.valid(dependency.version));
+    const versions = Object.fromEntries(dependencies.map(dependency => [dependency.name, dependency.version]));
+    const components = dependencies
+        .filter(dependency => COMPONENTS_GROUP.packages.includes(dependency.name))
+        .map(dependency => dependency.name);
+    const libraries = dependencies
+        .map(dependency => dependency.name)
+        .filter(name => !isCoveredByCoreUpdate(name) && !PLATFORM_PACKAGES[name] && !components.includes(name));
+
+    const steps = [];
+    const currentMajor = semver.major(currentVersion);
+    const targetMajor = semver.major(targetVersion);
+
+    for (let major = currentMajor === targetMajor ? targetMajor : currentMajor + 1; major <= targetMajor; major++) {
+        const angularVersion = major === targetMajor ? targetVersion : resolveAngularVersion(String(major), angularVersions);
+        if (!angularVersion) continue;
+
+        const requirements = await getAngularRequirements(angularVersion);
+        const blockers = [];
+
+        if (nodeVersion && !checkNodeCompatibility(nodeVersion, requirements.node).compatible) {
+            blockers.push(`Node.js ${nodeVersion} does not satisfy ${requirements.node}; switch Node.js versions before this step`);
+        }
+
+        const platform = await planPlatformUpdates(requirements, versions);
+        const coreCommand = ['@angular/core', '@angular/cli']
+            .map(name => `${name}@${major}`)
+            .concat(platform.updates.map(update => `${update.name}@${update.to}`));
+
+        // @angular/material updates @angular/cdk and the other components packages with it
+        const componentsLead = components.includes('@angular/material') ? '@angular/material' : components[0];
+        const library = await planLibraryUpdates(libraries, angularVersion, versions);
+
+        const commands = [{ packages: coreCommand, description: `Update Angular to ${major}` }];
+        if (componentsLead) {
+            commands.push({ packages: [`${componentsLead}@${major}`], description: `Update ${components.join(', ')}` });
+        }
+
+        // One command per lockstep family, then one per library
+        const grouped = new Map();
+        library.updates.forEach(update => {
+            const key = getLockstepGroup(update.name)?.name || update.name;
+            grouped.set(key, [...(grouped.get(key) || []), update]);
+        });
+        grouped.forEach((updates, key) => commands.push({
+            packages: updates.map(update => `${update.name}@${update.to}`),
+            description: `Update ${key} to a release supporting Angular ${major}`
+        }));
+
+        steps.push({
+            major,
+            angularVersion,
+            requirements,
+            platformUpdates: platform.updates,
+            libraryUpdates: library.updates,
+            commands,
+            blockers: [...blockers, ...platform.blockers, ...library.blockers]
+        });
+    }
+
+    return {
+        project: workspace.projectPath,
+        currentVersion,
+        targetVersion,
+        nodeVersion,
+        requirements: steps[steps.length - 1]?.requirements || null,
+        steps,
+        blockers: steps.flatMap(step => step.blockers.map(message => ({ major: step.major, message })))
+    };
+}
+
+/**
+ * Print an upgrade plan with the commands to run for each major version
+ */
+export function displayUpgradePlan(plan, packageManager) {
+    const requirementLabel = (label, range) => chalk.white(label) + chalk.cyan(range || 'unknown');
+
+    console.log(chalk.bold.cyan('\n⬆️  Angular Upgrade Plan\n'));
+    console.log(chalk.gray('━'.repeat(50)));
+    console.log(chalk.white('Project:     ') + chalk.cyan(plan.project));
+    console.log(chalk.white('Upgrade:     ') + chalk.cyan(`${plan.currentVersion} → ${plan.targetVersion}`));
+    console.log(chalk.gray('━'.repeat(50)));
+    console.log(chalk.bold.white(`Angular ${plan.targetVersion} requires:`));
+    console.log(requirementLabel('   Node.js:     ', plan.requirements?.node) +
+        (plan.nodeVersion ? chalk.gray(` (current v${plan.nodeVersion})`) : ''));
+    console.log(requirementLabel('   TypeScript:  ', plan.requirements?.typescript));
+    console.log(requirementLabel('   RxJS:        ', plan.requirements?.rxjs));
+    console.log(requirementLabel('   zone.js:     ', plan.requirements?.['zone.js']));
+    console.log(chalk.gray('━'.repeat(50)) + '\n');
+
+    plan.steps.forEach((step, index) => {
+        console.log(chalk.bold.white(`Step ${index + 1}: Angular ${step.angularVersion}`));
+
+        step.blockers.forEach(blocker => console.log(chalk.red(`   ✗ ${blocker}`)));
+        [...step.platformUpdates, ...step.libraryUpdates].forEach(update => {
+            console.log(chalk.gray(`   • ${update.name} ${update.from} → ${update.to} (${update.reason})`));
+        });
+
+        step.commands.forEach(({ packages }) => {
+            const { command, args } = getExecCommand('ng', ['update', ...packages], packageManager);
+            console.log(chalk.green(`   $ ${formatCommand(command, args)}`));
+        });
+        console.log('');
+    });
+
+    displayStaleDataNotice();
+
+    if (plan.blockers.length > 0) {
+        console.log(chalk.bold.red(`❌ ${plan.blockers.length} blocker(s) must be resolved before upgrading:`));
+        plan.blockers.forEach(({ major, message }) => console.log(chalk.red(`   • Angular ${major}: ${message}`)));
+    } else {
+        console.log(chalk.green('✓ No blockers found.'));
+    }
+
+    console.log(chalk.gray('\n💡 Commit before each step: ng update requires a clean working tree.'));
+    console.log(chalk.gray('   See https://angular.dev/update-guide for manual migration steps.\n'));
+}
+
+/**
+ * Run `ng-init upgrade --to <version>`: print the upgrade plan (or JSON).
+ * The exit code is 1 when the plan has blockers.
+ */
+export async function runUpgradePlanner(options = {}) {
+    let spinner = null;
+
+    try {
+        if (!options.to) {
+            throw new Error('Pass the target Angular version with --to, e.g. --to 19');
+        }
+
+        const startDir = path.resolve(options.project || process.cwd());
+        const projectPath = await findWorkspaceRoot(startDir);
+
+        if (!projectPath) {
+            throw new Error(`No Angular workspace found in ${startDir} or its parent directories (no package.json with @angular/core).`);
+        }
+
+        spinner = ora({ text: 'Analyzing dependencies...', isSilent: Boolean(options.json) }).start();
+        const workspace = await readWorkspace(projectPath);
+        const packageManager = await resolvePackageManager(await detectProjectPackageManager(projectPath), projectPath);
+        const plan = await buildUpgradePlan(workspace, options.to, await getNodeVersion());
+        spinner.stop();
+
+        if (options.json) {
+            console.log(JSON.stringify({
+                ...plan,
+                steps: plan.steps.map(step => ({
+                    ...step,
+                    commands: step.commands.map(({ packages, description }) => {
+                        const { command, args } = getExecCommand('ng', ['update', ...packages], packageManager);
+                        return { description, command, args };
+                    })
+                }))
+            }, null, 2));
+        } else {
+            displayUpgradePlan(plan, packageManager);
+        }
+
+        process.exitCode = plan.blockers.length > 0 ? 1 : 0;
+    } catch (err) {
+        spinner?.stop();
+        if (options.json) {
+            console.log(JSON.stringify({ error: err.message }, null, 2));
+        } else {
+            console.error(chalk.red('\n❌ Error:'), err.message);
+        }
+        process.exit(1);
+    }
+}
@@ -1,6 +1,7 @@
 import { execa } from 'execa';
 import chalk from 'chalk';
 import semver from 'semver';
+import { log } from './logger.js';
 
 /**
  * Get the current Node.js version
@@ -62,20 +63,20 @@ export async function getAngularCliVersion() {
  * Display all system versions
  */
 export async function displaySystemVersions() {
-    console.log(chalk.bold.cyan('\n🔍 System Environment Check\n'));
-    console.log(chalk.gray('━'.repeat(50)));
+    log(chalk.bold.cyan('\n🔍 System Environment Check\n'));
+    log(chalk.gray('━'.repeat(50)));
 
     const nodeVersion = await getNodeVersion();
     const npmVersion = await getNpmVersion();
     const nvmVersion = await getNvmVersion();
     const ngVersion = await getAngularCliVersion();
 
-    console.log(chalk.white('Node.js:      ') + (nodeVersion ? chalk.green(`v${nodeVersion}`) : chalk.red('Not installed')));
-    console.log(chalk.white('npm:          ') + (npmVersion ? chalk.green(`v${npmVersion}`) : chalk.red('Not installed')));
-    console.log(chalk.white('nvm:          ') + (nvmVersion ? chalk.green(`v${nvmVersion}`) : chalk.yellow('Not installed')));
-    console.log(chalk.white('Angular CLI:  ') + (ngVersion ? chalk.green(`v${ngVersion}`) : chalk.yellow('Not installed')));
+    log(chalk.white('Node.js:      ') + (nodeVersion ? chalk.green(`v${nodeVersion}`) : chalk.red('Not installed')));
+    log(chalk.white('npm:          ') + (npmVersion ? chalk.green(`v${npmVersion}`) : chalk.red('Not installed')));
+    log(chalk.white('nvm:          ') + (nvmVersion ? chalk.green(`v${nvmVersion}`) : chalk.yellow('Not installed')));
+    log(chalk.white('Angular CLI:  ') + (ngVersion ? chalk.green(`v${ngVersion}`) : chalk.yellow('Not installed')));
     
-    console.log(chalk.gray('━'.repeat(50)) + '\n');
+    log(chalk.gray('━'.repeat(50)) + '\n');
 
     return {
         node: nodeVersion,
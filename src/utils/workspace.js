@@ -0,0 +1,223 @@
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { parse as parseYaml } from 'yaml';
+import { readPackageJson } from './file-utils.js';
+
+/**
+ * Find the nearest directory with a package.json that depends on @angular/core
+ */
+export async function findWorkspaceRoot(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        const packageJson = await readPackageJson(dir);
+        const dependencies = { ...packageJson?.dependencies, ...packageJson?.devDependencies };
+
+        if (dependencies['@angular/core']) {
+            return dir;
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Strip pnpm peer suffixes ("19.2.0(rxjs@7.8.1)", "19.2.0_rxjs@7.8.1")
+ */
+function cleanLockVersion(version) {
+    return String(version).split('(')[0].split('_')[0];
+}
+
+/**
+ * Read top-level versions from package-lock.json (lockfile v1 to v3)
+ */
+function parseNpmLockfile(content) {
+    const lock = JSON.parse(content);
+    const versions = {};
+
+    if (lock.packages) {
+        Object.entries(lock.packages)
+            .filter(([key]) => key.startsWith('node_modules/') && !key.slice('node_modules/'.length).includes('/node_modules/'))
+            .forEach(([key, data]) => { versions[key.slice('node_modules/'.length)] = data.version; });
+    } else {
+        Object.entries(lock.dependencies || {}).forEach(([name, data]) => { versions[name] = data.version; });
+    }
+
+    return versions;
+}
+
+/**
+ * Read top-level versions from pnpm-lock.yaml (importers in v6+, flat in v5)
+ */
+function parsePnpmLockfile(content) {
+    const lock = parseYaml(content) || {};
+    const root = lock.importers?.['.'] || lock;
+    const versions = {};
+
+    ['dependencies', 'devDependencies', 'optionalDependencies'].forEach(field => {
+        Object.entries(root[field] || {}).forEach(([name, entry]) => {
+            versions[name] = cleanLockVersion(typeof entry === 'object' ? entry.version : entry);
+        });
+    });
+
+    return versions;
+}
+
+/**
+ * Read resolved versions from yarn.lock (classic and berry), keyed by "name@range"
+ */
+function parseYarnLockfile(content) {
+    const versions = {};
+    let descriptors = [];
+
+    content.split(/\r?\n/).forEach(line => {
+        if (/^\S.*:$/.test(line) && !line.startsWith('#')) {
+            descriptors = line.slice(0, -1).split(',').map(descriptor => descriptor.trim().replace(/^"|"$/g, '').replace('@npm:', '@'));
+        } else {
+            const match = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+            if (match) {
+                descriptors.forEach(descriptor => { versions[descriptor] = match[1]; });
+                descriptors = [];
+            }
+        }
+    });
+
+    return versions;
+}
+
+/**
+ * Read top-level versions from bun.lock (JSON with trailing commas)
+ */
+function parseBunLockfile(content) {
+    const lock = JSON.parse(content.replace(/,(\s*[}\]])/g, '$1'));
+    const versions = {};
+
+    Object.entries(lock.packages || {})
+        .filter(([key]) => !key.includes('/') || (key.startsWith('@') && key.split('/').length === 2))
+        .forEach(([name, [spec]]) => { versions[name] = spec.slice(spec.lastIndexOf('@') + 1); });
+
+    return versions;
+}
+
+const LOCKFILE_PARSERS = [
+    ['package-lock.json', parseNpmLockfile],
+    ['pnpm-lock.yaml', parsePnpmLockfile],
+    ['yarn.lock', parseYarnLockfile],
+    ['bun.lock', parseBunLockfile]
+];
+
+/**
+ * Read the project's lockfile, returning its name and the versions it resolves
+ * (null when there is no readable lockfile; bun.lockb is binary and skipped)
+ */
+export async function readLockfile(projectPath) {
+    for (const [file, parse] of LOCKFILE_PARSERS) {
+        let content;
+        try {
+            content = await fs.readFile(path.join(projectPath, file), 'utf-8');
+        } catch {
+            continue;
+        }
+
+        try {
+            return { file, versions: parse(content) };
+        } catch (error) {
+            return { file, versions: {}, error: `Could not parse ${file}: ${error.message}` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the version a lockfile resolves for a dependency
+ */
+function getLockedVersion(lockfile, packageName, declaredRange) {
+    if (!lockfile) return null;
+
+    if (lockfile.file === 'yarn.lock') {
+        const descriptor = `${packageName}@${declaredRange}`;
+        const fallback = Object.keys(lockfile.versions).find(key => key.startsWith(`${packageName}@`));
+        return lockfile.versions[descriptor] || (fallback ? lockfile.versions[fallback] : null);
+    }
+
+    return lockfile.versions[packageName] || null;
+}
+
+/**
+ * Get the installed version of a dependency from node_modules, falling back
+ * to the lockfile and then to the lowest version its declared range allows.
+ * `source` is "node_modules", "lockfile", "range" or null.
+ */
+export async function getInstalledVersion(projectPath, packageName, declaredRange, lockfile = null) {
+    const installed = await readPackageJson(path.join(projectPath, 'node_modules', packageName));
+
+    if (installed?.version) {
+        return { version: installed.version, installed: true, source: 'node_modules' };
+    }
+
+    const locked = getLockedVersion(lockfile, packageName, declaredRange);
+    if (locked && semver.valid(locked)) {
+        return { version: locked, installed: false, source: 'lockfile' };
+    }
+
+    try {
+        const minVersion = declaredRange ? semver.minVersion(declaredRange) : null;
+        return { version: minVersion ? minVersion.version : null, installed: false, source: minVersion ? 'range' : null };
+    } catch {
+        return { version: null, installed: false, source: null };
+    }
+}
+
+/**
+ * Read an Angular workspace: its package.json and lockfile, the installed
+ * Angular version and every declared dependency with its installed version
+ */
+export async function readWorkspace(projectPath) {
+    const packageJson = await readPackageJson(projectPath);
+
+    if (!packageJson) {
+        throw new Error(`No package.json found in ${projectPath}`);
+    }
+
+    const lockfile = await readLockfile(projectPath);
+    const declared = [
+        ...Object.entries(packageJson.dependencies || {}).map(([name, range]) => ({ name, range, dev: false })),
+        ...Object.entries(packageJson.devDependencies || {}).map(([name, range]) => ({ name, range, dev: true }))
+    ];
+
+    const dependencies = {};
+    for (const dependency of declared) {
+        dependencies[dependency.name] = {
+            ...dependency,
+            ...(await getInstalledVersion(projectPath, dependency.name, dependency.range, lockfile))
+        };
+    }
+
+    const angularVersion = dependencies['@angular/core']?.version || null;
+
+    return {
+        projectPath,
+        packageJson,
+        lockfile,
+        angularVersion,
+        dependencies
+    };
+}
+
+/**
+ * Check whether a file exists in the workspace
+ */
+export async function workspaceFileExists(projectPath, file) {
+    try {
+        await fs.access(path.join(projectPath, file));
+        return true;
+    } catch {
+        return false;
+    }
+}
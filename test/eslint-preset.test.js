@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { execa } from 'execa';
+import { CONFIG_PRESETS } from '../src/templates/templates.js';
+import { buildTemplateContext, renderFiles } from '../src/utils/template-engine.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '../dist/cli.js');
+
+function renderFlatConfig(options) {
+    const context = buildTemplateContext({ projectName: 'ng1', angularVersion: '19.2.0', features: ['eslint', 'husky'], options });
+    return renderFiles(CONFIG_PRESETS.eslint.flat.files(19), context, { builtIn: true })['eslint.config.js'];
+}
+
+test('flat config turns prefer-standalone off for NgModule projects', () => {
+    assert.match(renderFlatConfig({ standalone: false }), /'@angular-eslint\/prefer-standalone': 'off'/);
+});
+
+test('flat config keeps prefer-standalone for standalone projects', () => {
+    assert.doesNotMatch(renderFlatConfig({ standalone: true }), /prefer-standalone/);
+    assert.doesNotMatch(renderFlatConfig({}), /prefer-standalone/);
+});
+
+// Creates and builds a real project: needs the npm registry and a few
+// minutes, so it only runs with NG_INIT_E2E=1 (after npm run build)
+test('NgModule project with eslint + husky builds and lints', { skip: !process.env.NG_INIT_E2E, timeout: 15 * 60 * 1000 }, async () => {
+    const location = await mkdtemp(path.join(tmpdir(), 'ng-init-e2e-'));
+    const projectPath = path.join(location, 'ng1');
+
+    try {
+        await execa('node', [CLI, 'create', '--name', 'ng1', '--angular', '19', '--template', 'basic', '--features', 'git,eslint,husky', '--yes'], { cwd: location });
+
+        const component = await readFile(path.join(projectPath, 'src/app/app.component.ts'), 'utf-8');
+        assert.match(component, /standalone: false/);
+
+        await execa('npx', ['ng', 'build'], { cwd: projectPath });
+        await execa('npx', ['eslint', 'src'], { cwd: projectPath });
+
+        const { stdout } = await execa('git', ['status', '--porcelain'], { cwd: projectPath });
+        assert.equal(stdout, '', 'every generated file is in the initial commit');
+    } finally {
+        await rm(location, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { patchJsonText } from '../src/utils/json-patcher.js';
+
+const tsconfig = `{
+  // Paths are added by the structure presets
+  "compilerOptions": {
+    "strict": true,
+    "baseUrl": "./",
+    "paths": {
+      "@app/*": ["src/app/*"]
+    }
+  },
+  "include": ["src/**/*.ts"]
+}
+`;
+
+test('removing a property takes its separator along', () => {
+    const { text, changes } = patchJsonText(tsconfig, { compilerOptions: { baseUrl: null } });
+
+    assert.deepEqual(changes, [{ path: ['compilerOptions', 'baseUrl'], type: 'remove', from: './' }]);
+    assert.equal(text, tsconfig.replace('    "baseUrl": "./",\n', ''));
+});
+
+test('removing the last property leaves no separator behind', () => {
+    const { text } = patchJsonText(tsconfig, [{ op: 'remove', path: '/include' }]);
+
+    assert.equal(text, tsconfig.replace(',\n  "include": ["src/**/*.ts"]', ''));
+});
+
+test('removing every property of an object leaves no empty lines', () => {
+    const { text } = patchJsonText(tsconfig, [{ op: 'remove', path: '/compilerOptions/paths/@app~1*' }]);
+
+    assert.doesNotMatch(text, /\n[ \t]*\n/);
+    assert.deepEqual(JSON.parse(text.replace(/\/\/.*\n/, '')).compilerOptions.paths, {});
+    assert.match(text, /\/\/ Paths are added by the structure presets/);
+});
+
+test('removals keep tabs and CRLF line endings', () => {
+    const { text } = patchJsonText('{\r\n\t"a": 1,\r\n\t"b": 2\r\n}\r\n', { a: null });
+
+    assert.equal(text, '{\r\n\t"b": 2\r\n}\r\n');
+});
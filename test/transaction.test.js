@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { runStepsInTransaction } from '../src/utils/transaction.js';
+
+const exists = target => access(target).then(() => true, () => false);
+
+test('a step that throws is rolled back and the error rethrown', async () => {
+    const location = await mkdtemp(path.join(tmpdir(), 'ng-init-transaction-'));
+    const projectPath = path.join(location, 'app');
+    await mkdir(projectPath);
+    await writeFile(path.join(projectPath, 'package.json'), '{}');
+
+    const steps = [{
+        id: 'partial',
+        title: 'Write the config',
+        required: true,
+        actions: [{ type: 'update', path: 'package.json' }, { type: 'mkdir', path: 'config' }],
+        run: async () => {
+            await writeFile(path.join(projectPath, 'package.json'), '{ "changed": true }');
+            await mkdir(path.join(projectPath, 'config'));
+            throw new Error('disk full');
+        }
+    }];
+
+    try {
+        await assert.rejects(runStepsInTransaction(steps, projectPath), /disk full/);
+        assert.equal(await readFile(path.join(projectPath, 'package.json'), 'utf-8'), '{}');
+        assert.equal(await exists(path.join(projectPath, 'config')), false);
+    } finally {
+        await rm(location, { recursive: true, force: true });
+    }
+});